@@ -4,6 +4,7 @@ const connectDB = require('./db/db'); // Importa a conexão com o banco
 const swaggerUI = require('swagger-ui-express');
 const swaggerJsDoc = require('swagger-jsdoc');
 const routes = require('./routes'); // Importa as rotas centralizadas
+const { startReminderScheduler } = require('./notifications/scheduler');
 
 const app = express();
 const hostname = '127.0.0.1';
@@ -12,8 +13,13 @@ const port = 3000;
 // Conectar ao MongoDB
 connectDB();
 
+// Lembretes de agendamentos (desative com REMINDERS_DISABLED=true)
+if (process.env.REMINDERS_DISABLED !== 'true') {
+  startReminderScheduler();
+}
+
 // Middlewares
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Total-Count', 'Link'] })); // totais e links da paginação das listas
 app.use(express.json());
 
 // Registro de todas as rotas centralizadas
@@ -29,6 +35,7 @@ const options = {
       description: 'API com documentação Swagger.',
     },
     servers: [{ url: 'http://localhost:3000/api/' }],
+    security: [{ bearerAuth: [] }], // Token exigido em todas as rotas, exceto /auth
   },
   apis: ['./src/routes/*.js'], // Caminho dos arquivos para documentar no Swagger
 };
@@ -0,0 +1,90 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Configuração dos tokens: JWT_SECRET é obrigatório fora do desenvolvimento (NODE_ENV=development)
+if (!process.env.JWT_SECRET && process.env.NODE_ENV !== 'development') {
+  throw new Error('JWT_SECRET não definido; configure-o no ambiente (ou use NODE_ENV=development).');
+}
+const JWT_SECRET = process.env.JWT_SECRET || 'trabalho2-dev-secret';
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_DAYS = 7;
+
+// Tokens opacos (refresh e assinatura de agenda) são guardados apenas como hash
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Gera o token de acesso vinculado a uma sessão
+const signAccessToken = (user, session) =>
+  jwt.sign({ sub: user._id.toString(), sid: session._id.toString() }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+// Middleware que exige um token válido no cabeçalho Authorization
+const authenticate = async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Token de acesso não informado.' });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ error: 'Token de acesso inválido ou expirado.' });
+  }
+
+  try {
+    // Modelos registrados em routes/usersRoutes.js e routes/authRoutes.js
+    const Session = mongoose.model('Session');
+    const User = mongoose.model('Users');
+
+    const session = await Session.findById(payload.sid);
+    if (!session || session.revokedAt || session.user.toString() !== payload.sub) {
+      return res.status(401).json({ error: 'Sessão encerrada.' });
+    }
+
+    const user = await User.findById(payload.sub);
+    if (!user || user.status === 'off') {
+      return res.status(401).json({ error: 'Usuário inexistente ou inativo.' });
+    }
+
+    req.user = user;
+    req.session = session;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Middleware das assinaturas .ics: aplicativos de agenda não enviam cabeçalhos,
+// então o token pessoal de assinatura vem em ?token=
+const authenticateFeedToken = async (req, res, next) => {
+  const { token } = req.query;
+
+  if (!token) {
+    return res.status(401).json({ error: 'Token de assinatura não informado.' });
+  }
+
+  try {
+    const User = mongoose.model('Users');
+    const user = await User.findOne({ feed_token_hash: hashToken(token) });
+    if (!user || user.status === 'off') {
+      return res.status(401).json({ error: 'Token de assinatura inválido.' });
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+module.exports = {
+  authenticate,
+  authenticateFeedToken,
+  hashToken,
+  signAccessToken,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+};
@@ -0,0 +1,149 @@
+// Perfis de acesso aceitos no campo "level" do usuário
+const ROLES = {
+  ADMIN: 'admin',
+  COORDENADOR: 'coordenador',
+  PROFESSOR: 'professor',
+  PROF_SAUDE: 'prof-saude',
+  SECRETARIA: 'secretaria', // somente leitura
+};
+
+const ALL = Object.values(ROLES);
+const { ADMIN, COORDENADOR, PROFESSOR, PROF_SAUDE, SECRETARIA } = ROLES;
+
+// Matriz de permissões: recurso -> método HTTP -> perfis autorizados
+const PERMISSIONS = {
+  users: {
+    GET: [ADMIN],
+    POST: [ADMIN],
+    PUT: [ADMIN],
+    DELETE: [ADMIN],
+  },
+  students: {
+    GET: ALL,
+    POST: [ADMIN, COORDENADOR],
+    PUT: [ADMIN, COORDENADOR],
+    DELETE: [ADMIN],
+  },
+  teachers: {
+    GET: ALL,
+    POST: [ADMIN, COORDENADOR],
+    PUT: [ADMIN, COORDENADOR],
+    DELETE: [ADMIN],
+  },
+  'prof-saude': {
+    GET: ALL,
+    POST: [ADMIN, COORDENADOR],
+    PUT: [ADMIN, COORDENADOR],
+    DELETE: [ADMIN],
+  },
+  guardians: {
+    GET: ALL,
+    POST: [ADMIN, COORDENADOR],
+    PUT: [ADMIN, COORDENADOR],
+    DELETE: [ADMIN],
+  },
+  conditions: {
+    GET: ALL,
+    POST: [ADMIN, COORDENADOR],
+    PUT: [ADMIN, COORDENADOR],
+    DELETE: [ADMIN],
+  },
+  specialties: {
+    GET: ALL,
+    POST: [ADMIN, COORDENADOR],
+    PUT: [ADMIN, COORDENADOR],
+    DELETE: [ADMIN],
+  },
+  classes: {
+    GET: ALL,
+    POST: [ADMIN, COORDENADOR], // inclui matrículas, transferências e desistências
+    PUT: [ADMIN, COORDENADOR],
+    DELETE: [ADMIN],
+  },
+  attendance: {
+    GET: ALL,
+    POST: [ADMIN, COORDENADOR, PROFESSOR], // justificativas
+    PUT: [ADMIN, COORDENADOR, PROFESSOR],
+    DELETE: [ADMIN, COORDENADOR],
+  },
+  events: {
+    GET: ALL,
+    POST: [ADMIN, COORDENADOR, PROFESSOR],
+    PUT: [ADMIN, COORDENADOR, PROFESSOR],
+    DELETE: [ADMIN, COORDENADOR],
+  },
+  appointments: {
+    GET: ALL,
+    POST: [ADMIN, COORDENADOR, PROF_SAUDE],
+    PUT: [ADMIN, COORDENADOR, PROF_SAUDE],
+    PATCH: [ADMIN, COORDENADOR, PROF_SAUDE], // mudança de status
+    DELETE: [ADMIN, COORDENADOR],
+  },
+  waitlist: {
+    GET: ALL,
+    POST: [ADMIN, COORDENADOR, PROF_SAUDE],
+    PUT: [ADMIN, COORDENADOR, PROF_SAUDE],
+    DELETE: [ADMIN, COORDENADOR],
+  },
+  pei: {
+    GET: ALL,
+    POST: [ADMIN, COORDENADOR, PROFESSOR, PROF_SAUDE], // metas, evolução e revisões
+    PUT: [ADMIN, COORDENADOR, PROFESSOR, PROF_SAUDE],
+    DELETE: [ADMIN, COORDENADOR],
+  },
+  calendar: {
+    GET: ALL, // somente leitura: eventos e agendamentos juntos
+  },
+  audit: {
+    GET: [ADMIN, COORDENADOR],
+  },
+  reminders: {
+    GET: [ADMIN, COORDENADOR, SECRETARIA],
+    POST: [ADMIN, COORDENADOR], // reenvio de lembretes com falha
+  },
+  // Laudos e relatórios clínicos dos estudantes
+  documents: {
+    GET: [ADMIN, COORDENADOR, PROF_SAUDE],
+    POST: [ADMIN, COORDENADOR, PROF_SAUDE],
+    DELETE: [ADMIN, COORDENADOR],
+  },
+  // Notas clínicas: apenas o profissional do atendimento e a coordenação
+  'session-notes': {
+    GET: [COORDENADOR, PROF_SAUDE],
+    POST: [COORDENADOR, PROF_SAUDE],
+    PUT: [COORDENADOR, PROF_SAUDE],
+  },
+};
+
+const denied = (res, req, allowed) =>
+  res.status(403).json({
+    error: `Acesso negado: o perfil "${req.user.level}" não pode executar ${req.method} em ${req.originalUrl.split('?')[0]}.`,
+    allowed,
+  });
+
+// Middleware que aplica a matriz de permissões de um recurso conforme o método
+const authorize = (resource) => (req, res, next) => {
+  // HEAD segue a regra de GET
+  const method = req.method === 'HEAD' ? 'GET' : req.method;
+  const allowed = (PERMISSIONS[resource] || {})[method] || [];
+
+  if (!req.user || !allowed.includes(req.user.level)) {
+    return denied(res, req, allowed);
+  }
+  next();
+};
+
+// Middleware para rotas específicas que exigem perfis próprios
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.level)) {
+    return denied(res, req, roles);
+  }
+  next();
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  authorize,
+  requireRole,
+};
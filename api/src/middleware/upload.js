@@ -0,0 +1,50 @@
+const multer = require('multer');
+
+// Tamanho máximo de cada arquivo enviado
+const MAX_SIZE_MB = Number(process.env.DOCUMENT_MAX_SIZE_MB) || 10;
+
+// Tipos aceitos e a assinatura dos primeiros bytes de cada um; o tipo informado pelo
+// cliente só é aceito se o conteúdo confirmar
+const ALLOWED_TYPES = {
+  'application/pdf': (buffer) => buffer.subarray(0, 5).toString('latin1') === '%PDF-',
+  'image/png': (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/jpeg': (buffer) => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  defParamCharset: 'utf8', // nomes de arquivo com acentos
+  limits: { fileSize: MAX_SIZE_MB * 1024 * 1024, files: 1 },
+});
+
+// Recebe um arquivo no campo "file" (multipart/form-data) em req.file, já validado
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `O arquivo deve ter no máximo ${MAX_SIZE_MB} MB.` });
+    }
+    if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'Envie o arquivo no campo "file" (multipart/form-data).' });
+    }
+
+    const matches = ALLOWED_TYPES[req.file.mimetype];
+    if (!matches) {
+      return res
+        .status(415)
+        .json({ error: `Tipo de arquivo não permitido. Use: ${Object.keys(ALLOWED_TYPES).join(', ')}.` });
+    }
+    if (!matches(req.file.buffer)) {
+      return res.status(415).json({ error: 'O conteúdo do arquivo não corresponde ao tipo informado.' });
+    }
+    next();
+  });
+};
+
+module.exports = {
+  MAX_SIZE_MB,
+  ALLOWED_TYPES,
+  uploadFile,
+};
@@ -0,0 +1,24 @@
+const fs = require('fs');
+
+// Canal local para testes: grava a mensagem em arquivo (REMINDER_LOG_FILE) ou no console
+const createConsoleChannel = ({ file } = {}) => ({
+  name: 'console',
+
+  // Envia para todos os contatos conhecidos, apenas para conferência
+  recipients: (appointment) =>
+    [
+      appointment.student && appointment.student.phone_number,
+      appointment.professional && appointment.professional.contact,
+    ].filter(Boolean),
+
+  send: async ({ to, subject, text }) => {
+    const line = `[${new Date().toISOString()}] para ${to} | ${subject} | ${text}`;
+    if (file) {
+      await fs.promises.appendFile(file, `${line}\n`);
+    } else {
+      console.log('Lembrete:', line);
+    }
+  },
+});
+
+module.exports = createConsoleChannel;
@@ -0,0 +1,69 @@
+const createConsoleChannel = require('./consoleChannel');
+const createSmtpChannel = require('./smtpChannel');
+const createSmsChannel = require('./smsChannel');
+
+const isDevelopment = () => process.env.NODE_ENV === 'development';
+
+// Lê uma configuração obrigatória do canal; a falta dela impede o início da API
+const required = (channel, variable) => {
+  const value = process.env[variable];
+  if (!value) {
+    throw new Error(`Canal de notificação "${channel}" exige ${variable} no ambiente.`);
+  }
+  return value;
+};
+
+// Fábricas dos canais disponíveis; novos canais só precisam ser registrados aqui
+const FACTORIES = {
+  // Imprime telefones e mensagens: apenas para desenvolvimento
+  console: () => {
+    if (!isDevelopment()) {
+      throw new Error('Canal de notificação "console" só pode ser usado com NODE_ENV=development.');
+    }
+    return createConsoleChannel({ file: process.env.REMINDER_LOG_FILE });
+  },
+  email: () =>
+    createSmtpChannel({
+      host: required('email', 'SMTP_HOST'),
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.SMTP_FROM || required('email', 'SMTP_USER'),
+    }),
+  sms: () => {
+    const url = required('sms', 'SMS_GATEWAY_URL');
+    if (!URL.canParse(url)) {
+      throw new Error(`SMS_GATEWAY_URL inválida: ${url}`);
+    }
+    return createSmsChannel({ url, token: process.env.SMS_GATEWAY_TOKEN });
+  },
+};
+
+// Canais ativos conforme REMINDER_CHANNELS (ex.: "email,sms"). Fora do desenvolvimento a
+// variável é obrigatória; em desenvolvimento o padrão é o canal console.
+const loadChannels = (names = process.env.REMINDER_CHANNELS || (isDevelopment() ? 'console' : '')) => {
+  if (!names) {
+    throw new Error(
+      'REMINDER_CHANNELS não definido; informe os canais (email, sms) ou desative os lembretes com REMINDERS_DISABLED=true.'
+    );
+  }
+
+  const channels = names
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .map((name) => {
+      if (!FACTORIES[name]) {
+        throw new Error(`Canal de notificação desconhecido: ${name}`);
+      }
+      return FACTORIES[name]();
+    });
+
+  if (channels.length === 0) {
+    throw new Error('REMINDER_CHANNELS não informa nenhum canal.');
+  }
+  return channels;
+};
+
+module.exports = { loadChannels };
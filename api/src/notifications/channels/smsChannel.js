@@ -0,0 +1,25 @@
+// Adaptador para gateways de SMS via HTTP: envia { to, message } em JSON para a URL configurada.
+// Avisa a família pelo telefone cadastrado no estudante.
+const createSmsChannel = ({ url, token }) => ({
+  name: 'sms',
+
+  recipients: (appointment) =>
+    [appointment.student && appointment.student.phone_number].filter(Boolean),
+
+  send: async ({ to, text }) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify({ to, message: text }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Gateway de SMS respondeu ${response.status}`);
+    }
+  },
+});
+
+module.exports = createSmsChannel;
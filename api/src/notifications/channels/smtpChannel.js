@@ -0,0 +1,22 @@
+const nodemailer = require('nodemailer');
+
+// Canal de e-mail via SMTP: avisa o profissional pelo contato cadastrado em prof-saude
+const createSmtpChannel = ({ host, port, secure, user, pass, from }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: 'email',
+
+    recipients: (appointment) =>
+      [appointment.professional && appointment.professional.contact].filter(Boolean),
+
+    send: ({ to, subject, text }) => transporter.sendMail({ from, to, subject, text }),
+  };
+};
+
+module.exports = createSmtpChannel;
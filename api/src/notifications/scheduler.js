@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const { schoolTime } = require('../utils/dateRange');
+const { loadChannels } = require('./channels');
+const { ACTIVE_STATUSES, activeStatusFilter } = require('../utils/appointmentStatus');
+const { expireOffers } = require('../utils/waitlist');
+
+// Configuração do agendador de lembretes
+const HOURS_BEFORE = Number(process.env.REMINDER_HOURS_BEFORE) || 24;
+const INTERVAL_MS = Number(process.env.REMINDER_INTERVAL_MS) || 60 * 1000;
+const MAX_ATTEMPTS = Number(process.env.REMINDER_MAX_ATTEMPTS) || 5;
+
+const buildMessage = (appointment) => {
+  const student = appointment.student ? appointment.student.name : appointment.legacy_student;
+  const professional = appointment.professional
+    ? appointment.professional.name
+    : appointment.legacy_professional;
+  const when = schoolTime(appointment.date).format('DD/MM/YYYY [às] HH:mm');
+
+  return {
+    subject: `Lembrete de atendimento - ${appointment.specialty || 'saúde'}`,
+    text: `Lembrete: ${student || 'o estudante'} tem atendimento de ${appointment.specialty || 'saúde'} com ${professional || 'o profissional'} em ${when}.`,
+  };
+};
+
+// Espera exponencial entre tentativas: 2, 4, 8... minutos
+const nextAttemptAt = (attempts) => moment().add(2 ** attempts, 'minutes').toDate();
+
+// Cria os lembretes dos agendamentos que entram na janela de aviso
+const enqueueReminders = async (channels) => {
+  const Appointment = mongoose.model('Appointment');
+  const Reminder = mongoose.model('Reminder');
+  const now = moment();
+
+  const appointments = await Appointment.find({
+    ...activeStatusFilter,
+    date: { $gt: now.toDate(), $lte: now.clone().add(HOURS_BEFORE, 'hours').toDate() },
+  })
+    .populate('student', 'name phone_number')
+    .populate('professional', 'name contact');
+
+  for (const appointment of appointments) {
+    const sendAt = moment(appointment.date).subtract(HOURS_BEFORE, 'hours').toDate();
+
+    for (const channel of channels) {
+      for (const recipient of channel.recipients(appointment)) {
+        // Um lembrete por agendamento, canal, destinatário e horário (upsert evita duplicar)
+        await Reminder.updateOne(
+          { appointment: appointment._id, channel: channel.name, recipient, appointment_date: appointment.date },
+          {
+            $setOnInsert: {
+              send_at: sendAt,
+              next_attempt_at: sendAt,
+              status: 'pending',
+              attempts: 0,
+            },
+          },
+          { upsert: true }
+        );
+      }
+    }
+  }
+};
+
+// Envia os lembretes pendentes, com novas tentativas em caso de falha
+const deliverReminders = async (channels) => {
+  const Reminder = mongoose.model('Reminder');
+  const byName = new Map(channels.map((channel) => [channel.name, channel]));
+
+  const pending = await Reminder.find({
+    status: 'pending',
+    next_attempt_at: { $lte: new Date() },
+  }).populate({
+    path: 'appointment',
+    populate: [
+      { path: 'student', select: 'name phone_number' },
+      { path: 'professional', select: 'name contact' },
+    ],
+  });
+
+  for (const reminder of pending) {
+    const { appointment } = reminder;
+
+    // Agendamento removido, cancelado ou remarcado: o lembrete perde o sentido
+    if (
+      !appointment ||
+      !ACTIVE_STATUSES.includes(appointment.status) ||
+      appointment.date.getTime() !== reminder.appointment_date.getTime()
+    ) {
+      reminder.status = 'cancelled';
+      await reminder.save();
+      continue;
+    }
+
+    const channel = byName.get(reminder.channel);
+    if (!channel) continue; // canal desativado; fica pendente até voltar
+
+    reminder.attempts += 1;
+    try {
+      await channel.send({ to: reminder.recipient, ...buildMessage(appointment) });
+      reminder.status = 'sent';
+      reminder.sent_at = new Date();
+      reminder.last_error = undefined;
+    } catch (err) {
+      reminder.last_error = err.message;
+      if (reminder.attempts >= MAX_ATTEMPTS) {
+        reminder.status = 'failed';
+      } else {
+        reminder.next_attempt_at = nextAttemptAt(reminder.attempts);
+      }
+    }
+    await reminder.save();
+  }
+};
+
+// Inicia o ciclo periódico do agendador (modelo Reminder em routes/remindersRoutes.js)
+const startReminderScheduler = () => {
+  const channels = loadChannels();
+  let running = false;
+
+  const tick = async () => {
+    if (running || mongoose.connection.readyState !== 1) return;
+    running = true;
+    try {
+      await enqueueReminders(channels);
+      await deliverReminders(channels);
+      // Ofertas da lista de espera vencidas seguem para o próximo (sem usuário na auditoria)
+      await expireOffers({});
+    } catch (err) {
+      console.error('Erro no agendador de lembretes:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  console.log(
+    `Lembretes ativos: ${channels.map((channel) => channel.name).join(', ')} (${HOURS_BEFORE}h antes)`
+  );
+  return setInterval(tick, INTERVAL_MS);
+};
+
+module.exports = {
+  startReminderScheduler,
+  enqueueReminders,
+  deliverReminders,
+};
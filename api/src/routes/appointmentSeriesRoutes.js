@@ -0,0 +1,570 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { schoolTime } = require('../utils/dateRange');
+const { recordAudit } = require('../utils/audit');
+const { DEFAULT_DURATION, findConflicts, validateReferences } = require('../utils/scheduling');
+const { checkProfessionalSpecialty } = require('../utils/specialties');
+const { FREQUENCIES, MAX_OCCURRENCES, expandOccurrences } = require('../utils/recurrence');
+const { ACTIVE_STATUSES } = require('../utils/appointmentStatus');
+const { offerFreedAppointment } = require('../utils/waitlist');
+
+
+// Definição do esquema de séries recorrentes de agendamentos
+const appointmentSeriesSchema = new mongoose.Schema(
+  {
+    specialty: String,
+    comments: String,
+    duration: { type: Number, min: 1, default: DEFAULT_DURATION }, // minutos
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    professional: { type: mongoose.Schema.Types.ObjectId, ref: 'Profissional', required: true },
+    start: { type: Date, required: true }, // data e hora da primeira sessão
+    frequency: { type: String, enum: Object.keys(FREQUENCIES), required: true },
+    until: Date, // última data possível (inclusiva)
+    count: { type: Number, min: 1, max: MAX_OCCURRENCES },
+  },
+  { collection: 'appointment-series' }
+);
+
+appointmentSeriesSchema.pre('validate', function () {
+  if (!this.until && !this.count) {
+    this.invalidate('until', 'Informe "until" ou "count" para encerrar a série.');
+  }
+});
+
+const AppointmentSeries = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
+
+// Campos copiados da série para cada ocorrência
+const TEMPLATE_FIELDS = ['specialty', 'comments', 'duration', 'student', 'professional'];
+
+const template = (series) =>
+  TEMPLATE_FIELDS.reduce((fields, field) => ({ ...fields, [field]: series[field] }), {});
+
+// Confere se o profissional atende a especialidade da série e grava o nome do catálogo;
+// devolve a mensagem de erro ou null
+const applySpecialty = async (series) => {
+  const { specialty, error } = await checkProfessionalSpecialty({
+    specialty: series.specialty,
+    professional: series.professional,
+    date: series.start,
+  });
+  if (specialty) series.specialty = specialty;
+  return error || null;
+};
+
+// Gera as ocorrências (ainda não salvas) e confere conflitos de cada uma.
+// "exclude" são os agendamentos que serão substituídos e não contam como conflito;
+// "kept" são ocorrências mantidas como histórico, cujas datas não são geradas de novo;
+// "from" limita a geração às datas a partir desse instante (edições não recriam o passado).
+const buildOccurrences = async (series, exclude = [], kept = [], from = null) => {
+  const Appointment = mongoose.model('Appointment');
+  const keptDates = new Set(kept.map((occurrence) => (occurrence.occurrence_date || occurrence.date).getTime()));
+  const dates = expandOccurrences(series);
+  const pending = dates.filter((date) => !keptDates.has(date.getTime()) && !(from && date < from));
+  const occurrences = pending.map(
+    (date) =>
+      new Appointment({
+        ...template(series),
+        date,
+        occurrence_date: date,
+        series: series._id,
+      })
+  );
+
+  const conflicts = [];
+  for (const occurrence of occurrences) {
+    const found = await findConflicts(occurrence, exclude);
+    if (found.length > 0) {
+      conflicts.push({ date: occurrence.date, conflicts: found });
+    }
+  }
+
+  return { occurrences, conflicts, total: dates.length };
+};
+
+// Localiza a ocorrência informada em ?from e quantas ocorrências da série vêm antes dela
+const resolvePivot = async (req, series) => {
+  const { from } = req.query;
+  if (!from || !mongoose.isValidObjectId(from)) {
+    return { error: 'Parâmetro "from" (ID da ocorrência) é obrigatório com scope=following.' };
+  }
+
+  const occurrence = await mongoose.model('Appointment').findOne({ _id: from, series: series._id });
+  if (!occurrence) {
+    return { error: 'A ocorrência informada em "from" não pertence a esta série.' };
+  }
+
+  const pivot = occurrence.occurrence_date || occurrence.date;
+  const index = expandOccurrences(series).filter((date) => date < pivot).length;
+  return { pivot, index };
+};
+
+// Encerra a série original antes da ocorrência pivô
+const truncateSeries = (series, pivot, index) => {
+  series.until = schoolTime(pivot).subtract(1, 'day').endOf('day').toDate();
+  if (series.count) series.count = index;
+};
+
+const conflictResponse = (res, conflicts) =>
+  res.status(409).json({
+    error: 'Conflito de horário em uma ou mais ocorrências da série.',
+    conflicts,
+  });
+
+const auditOccurrences = async (req, action, occurrences) => {
+  for (const occurrence of occurrences) {
+    await recordAudit(req, {
+      entityType: 'appointments',
+      action,
+      before: action === 'delete' ? occurrence : undefined,
+      after: action === 'create' ? occurrence : undefined,
+    });
+  }
+};
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Série de agendamentos:
+ *       type: object
+ *       required:
+ *         - student
+ *         - professional
+ *         - start
+ *         - frequency
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID gerado automaticamente
+ *         specialty:
+ *           type: string
+ *           description: Especialidade do catálogo atendida pelo profissional
+ *         comments:
+ *           type: string
+ *           description: Comentários
+ *         duration:
+ *           type: integer
+ *           default: 60
+ *           description: Duração de cada sessão em minutos
+ *         student:
+ *           type: string
+ *           description: ID do estudante
+ *         professional:
+ *           type: string
+ *           description: ID do profissional da saúde
+ *         start:
+ *           type: string
+ *           format: date-time
+ *           description: Data e hora da primeira sessão
+ *         frequency:
+ *           type: string
+ *           enum: [weekly, biweekly, monthly]
+ *           description: Frequência (semanal, quinzenal ou mensal)
+ *         until:
+ *           type: string
+ *           format: date
+ *           description: Última data possível (informe "until" e/ou "count")
+ *         count:
+ *           type: integer
+ *           description: Quantidade de sessões (máximo 104)
+ *       example:
+ *         specialty: "Fisioterapeuta"
+ *         comments: "Sessão semanal de fisioterapia"
+ *         duration: 50
+ *         student: "6750b1f2c9a1e23d4f5a6b7c"
+ *         professional: "6750b21ac9a1e23d4f5a6b80"
+ *         start: "2024-03-04T14:00:00Z"
+ *         frequency: "weekly"
+ *         count: 12
+ */
+
+/**
+ * @swagger
+ * /appointments/series:
+ *   get:
+ *     summary: Lista as séries recorrentes
+ *     tags: [Agendamento em saúde]
+ *     parameters:
+ *       - in: query
+ *         name: student
+ *         schema:
+ *           type: string
+ *         description: Filtra pelo ID do estudante
+ *       - in: query
+ *         name: professional
+ *         schema:
+ *           type: string
+ *         description: Filtra pelo ID do profissional
+ *     responses:
+ *       200:
+ *         description: Lista de séries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Série de agendamentos'
+ */
+router.get('/', async (req, res) => {
+  const filter = {};
+  if (req.query.student) filter.student = req.query.student;
+  if (req.query.professional) filter.professional = req.query.professional;
+
+  try {
+    const series = await AppointmentSeries.find(filter).sort({ start: 1 });
+    res.status(200).json(series);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /appointments/series/{id}:
+ *   get:
+ *     summary: Retorna uma série e suas ocorrências
+ *     tags: [Agendamento em saúde]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da série
+ *     responses:
+ *       200:
+ *         description: Série e lista de ocorrências
+ *       404:
+ *         description: Série não encontrada
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const series = await AppointmentSeries.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Série não encontrada' });
+    }
+    const occurrences = await mongoose
+      .model('Appointment')
+      .find({ series: series._id })
+      .sort({ date: 1 });
+    res.status(200).json({ series, occurrences });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /appointments/series:
+ *   post:
+ *     summary: Cria uma série recorrente e gera suas ocorrências
+ *     tags: [Agendamento em saúde]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Série de agendamentos'
+ *     responses:
+ *       201:
+ *         description: Série criada com as ocorrências geradas
+ *       400:
+ *         description: Dados inválidos
+ *       409:
+ *         description: Uma ou mais ocorrências colidem com outros agendamentos
+ */
+router.post('/', async (req, res) => {
+  try {
+    const referenceError = await validateReferences(req.body);
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    const series = new AppointmentSeries(req.body);
+    await series.validate();
+
+    const specialtyError = await applySpecialty(series);
+    if (specialtyError) {
+      return res.status(400).json({ error: specialtyError });
+    }
+
+    const { occurrences, conflicts, total } = await buildOccurrences(series);
+    if (total === 0) {
+      return res.status(400).json({ error: 'A regra informada não gera nenhuma ocorrência.' });
+    }
+    if (conflicts.length > 0) {
+      return conflictResponse(res, conflicts);
+    }
+
+    await series.save();
+    await mongoose.model('Appointment').insertMany(occurrences);
+    await recordAudit(req, { entityType: 'appointment-series', action: 'create', after: series });
+    await auditOccurrences(req, 'create', occurrences);
+
+    res.status(201).json({ series, occurrences });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /appointments/series/{id}:
+ *   put:
+ *     summary: Altera a série inteira ou a partir de uma ocorrência
+ *     description: >
+ *       Para alterar uma única ocorrência use PUT /appointments/{id}. Com scope=all as
+ *       ocorrências da série são geradas novamente; com scope=following a série é dividida
+ *       na ocorrência "from" e uma nova série passa a valer dali em diante. Só as ocorrências
+ *       futuras ainda agendadas ou confirmadas são geradas novamente; as passadas e as já
+ *       realizadas, canceladas ou com falta são mantidas como histórico.
+ *     tags: [Agendamento em saúde]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da série
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [all, following]
+ *           default: all
+ *         description: Abrangência da alteração
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: ID da ocorrência a partir da qual alterar (scope=following)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Série de agendamentos'
+ *     responses:
+ *       200:
+ *         description: Série alterada com as novas ocorrências
+ *       400:
+ *         description: Dados ou parâmetros inválidos
+ *       404:
+ *         description: Série não encontrada
+ *       409:
+ *         description: Uma ou mais ocorrências colidem com outros agendamentos
+ */
+router.put('/:id', async (req, res) => {
+  const scope = req.query.scope || 'all';
+  if (!['all', 'following'].includes(scope)) {
+    return res.status(400).json({ error: 'Parâmetro "scope" deve ser "all" ou "following".' });
+  }
+
+  try {
+    const Appointment = mongoose.model('Appointment');
+    const series = await AppointmentSeries.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Série não encontrada' });
+    }
+
+    const referenceError = await validateReferences(req.body);
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    const before = series.toJSON();
+    let target = series;
+    let affected;
+
+    if (scope === 'following') {
+      const { error, pivot, index } = await resolvePivot(req, series);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      if (index > 0) {
+        // Nova série a partir do pivô, herdando o que não foi alterado
+        target = new AppointmentSeries({
+          ...template(series),
+          start: pivot,
+          frequency: series.frequency,
+          until: series.until,
+          count: series.count ? series.count - index : undefined,
+          ...req.body,
+        });
+        truncateSeries(series, pivot, index);
+        affected = await Appointment.find({ series: series._id, occurrence_date: { $gte: pivot } });
+      }
+    }
+
+    if (target === series) {
+      series.set(req.body);
+      affected = await Appointment.find({ series: series._id });
+    }
+
+    // Só as ocorrências futuras que ainda ocupam a agenda são refeitas; as passadas e as já
+    // realizadas, canceladas ou com falta ficam como histórico, como no DELETE
+    const now = new Date();
+    const isReplaced = (occurrence) => ACTIVE_STATUSES.includes(occurrence.status) && occurrence.date >= now;
+    const replaced = affected.filter(isReplaced);
+    const finished = affected.filter((occurrence) => !isReplaced(occurrence));
+
+    await target.validate();
+    const specialtyError = await applySpecialty(target);
+    if (specialtyError) {
+      return res.status(400).json({ error: specialtyError });
+    }
+
+    const { occurrences, conflicts, total } = await buildOccurrences(
+      target,
+      replaced.map((occurrence) => occurrence._id),
+      finished,
+      now
+    );
+    if (total === 0) {
+      return res.status(400).json({ error: 'A regra informada não gera nenhuma ocorrência.' });
+    }
+    if (conflicts.length > 0) {
+      return conflictResponse(res, conflicts);
+    }
+
+    // As novas ocorrências são gravadas antes de remover as antigas; se algo falhar depois
+    // disso, as novas são desfeitas e a série continua com as ocorrências de antes
+    await Appointment.insertMany(occurrences);
+    try {
+      await series.save();
+      if (target !== series) {
+        await target.save();
+        await Appointment.updateMany(
+          { _id: { $in: finished.map((occurrence) => occurrence._id) } },
+          { series: target._id }
+        );
+      }
+      await Appointment.deleteMany({ _id: { $in: replaced.map((occurrence) => occurrence._id) } });
+    } catch (err) {
+      await Appointment.deleteMany({ _id: { $in: occurrences.map((occurrence) => occurrence._id) } });
+      throw err;
+    }
+
+    await recordAudit(req, { entityType: 'appointment-series', action: 'update', before, after: series });
+    if (target !== series) {
+      await recordAudit(req, { entityType: 'appointment-series', action: 'create', after: target });
+    }
+    await auditOccurrences(req, 'delete', replaced);
+    await auditOccurrences(req, 'create', occurrences);
+
+    res.status(200).json({ series: target, occurrences, previous: target !== series ? series : undefined });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /appointments/series/{id}:
+ *   delete:
+ *     summary: Cancela a série inteira ou a partir de uma ocorrência
+ *     description: >
+ *       Remove apenas as ocorrências futuras ainda agendadas ou confirmadas; as demais ficam
+ *       como histórico e, se houver alguma, a série é mantida e encerrada nela.
+ *       Para cancelar uma única ocorrência use DELETE /appointments/{id}.
+ *     tags: [Agendamento em saúde]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da série
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [all, following]
+ *           default: all
+ *         description: Abrangência do cancelamento
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: ID da ocorrência a partir da qual cancelar (scope=following)
+ *     responses:
+ *       204:
+ *         description: Ocorrências futuras removidas
+ *       400:
+ *         description: Parâmetros inválidos
+ *       404:
+ *         description: Série não encontrada
+ *       409:
+ *         description: Alguma das ocorrências tem notas de sessão
+ */
+router.delete('/:id', async (req, res) => {
+  const scope = req.query.scope || 'all';
+  if (!['all', 'following'].includes(scope)) {
+    return res.status(400).json({ error: 'Parâmetro "scope" deve ser "all" ou "following".' });
+  }
+
+  try {
+    const Appointment = mongoose.model('Appointment');
+    const series = await AppointmentSeries.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Série não encontrada' });
+    }
+
+    // Só saem as ocorrências futuras que ainda ocupam a agenda; as já realizadas, canceladas,
+    // com falta ou passadas ficam como histórico, como no PUT
+    const filter = { series: series._id, status: { $in: ACTIVE_STATUSES }, date: { $gt: new Date() } };
+    let keepSeries = false;
+    const before = series.toJSON();
+
+    if (scope === 'following') {
+      const { error, pivot, index } = await resolvePivot(req, series);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (index > 0) {
+        filter.occurrence_date = { $gte: pivot };
+        truncateSeries(series, pivot, index);
+        keepSeries = true;
+      }
+    }
+
+    const removed = await Appointment.find(filter);
+    const ids = removed.map((occurrence) => occurrence._id);
+    if (await mongoose.model('SessionNote').exists({ appointment: { $in: ids } })) {
+      return res.status(409).json({
+        error: 'Ocorrências da série têm notas de sessão; cancele-as com status "cancelled".',
+      });
+    }
+    await Appointment.deleteMany({ _id: { $in: ids } });
+
+    // Com histórico, a série é mantida e encerrada na última ocorrência que ficou
+    const last = keepSeries
+      ? null
+      : await Appointment.findOne({ series: series._id }).sort({ occurrence_date: -1 });
+    if (last) {
+      series.until = schoolTime(last.occurrence_date || last.date).endOf('day').toDate();
+      keepSeries = true;
+    }
+
+    if (keepSeries) {
+      await series.save();
+      await recordAudit(req, { entityType: 'appointment-series', action: 'update', before, after: series });
+    } else {
+      await series.deleteOne();
+      await recordAudit(req, { entityType: 'appointment-series', action: 'delete', before: series });
+    }
+    await auditOccurrences(req, 'delete', removed);
+    for (const occurrence of removed) {
+      await offerFreedAppointment(req, occurrence);
+    }
+
+    res.status(204).send();
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
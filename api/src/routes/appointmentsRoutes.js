@@ -1,22 +1,92 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const moment = require('moment');
+const { recordAudit } = require('../utils/audit');
+const { parseRange, rangeFilter } = require('../utils/dateRange');
+const { DEFAULT_DURATION, findConflicts, validateReferences } = require('../utils/scheduling');
+const {
+  STATUSES,
+  ACTIVE_STATUSES,
+  CANCELLATION_REASONS,
+  validateTransition,
+} = require('../utils/appointmentStatus');
+const { offerFreedAppointment } = require('../utils/waitlist');
+const { checkProfessionalSpecialty } = require('../utils/specialties');
+const { setPaginationHeaders } = require('../utils/pagination');
+const { parseListQuery, paginate } = require('../utils/listQuery');
 
 
+// Registro de cada mudança de status
+const statusChangeSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: STATUSES, required: true },
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'Users' },
+    reason: { type: String, enum: CANCELLATION_REASONS },
+    note: String,
+  },
+  { _id: false }
+);
+
 // Definição do esquema de agendamentos
 const appointmentSchema = new mongoose.Schema(
     {
       specialty: String,
       comments: String,
       date: Date,
-      student: String,
-      professional: String,
+      duration: { type: Number, min: 1, default: DEFAULT_DURATION }, // minutos
+      // Obrigatórios, exceto nos agendamentos antigos cujo nome a migração não associou a um
+      // cadastro: nesses o nome fica em legacy_student/legacy_professional
+      student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: function () {
+          return !this.legacy_student;
+        },
+      },
+      professional: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Profissional',
+        required: function () {
+          return !this.legacy_professional;
+        },
+      },
+      legacy_student: String,
+      legacy_professional: String,
+      // Preenchidos quando o agendamento é uma ocorrência de uma série recorrente
+      series: { type: mongoose.Schema.Types.ObjectId, ref: 'AppointmentSeries' },
+      occurrence_date: Date, // data prevista pela regra da série
+      status: { type: String, enum: STATUSES, default: 'scheduled' },
+      cancellation_reason: { type: String, enum: CANCELLATION_REASONS },
+      status_history: [statusChangeSchema],
     },
-    { collection: 'appointments' }
+    { collection: 'appointments', timestamps: true }
   );
   const Appointment = mongoose.model('Appointment', appointmentSchema);
 
+// Responde 409 com os agendamentos que colidem com o horário proposto
+const conflictResponse = (res, conflicts) =>
+  res.status(409).json({
+    error: 'Conflito de horário: o profissional ou o estudante já possui agendamento neste período.',
+    conflicts,
+  });
+
+// Filtro por ?status=confirmed,completed (sem status conta como "scheduled")
+const statusFilter = (req) => {
+  if (!req.query.status) return {};
+  const statuses = req.query.status.split(',').map((status) => status.trim());
+  const invalid = statuses.find((status) => !STATUSES.includes(status));
+  if (invalid) {
+    throw new Error(`Status "${invalid}" inválido. Valores aceitos: ${STATUSES.join(', ')}.`);
+  }
+  if (statuses.includes('scheduled')) statuses.push(null);
+  return { status: { $in: statuses } };
+};
+
+// Inclui os dados do estudante e do profissional quando ?populate=true
+const withPopulate = (query, req) =>
+  req.query.populate === 'true' ? query.populate('student').populate('professional') : query;
+
 
 /**
  * @swagger
@@ -36,7 +106,7 @@ const appointmentSchema = new mongoose.Schema(
  *           description: ID gerado automaticamente
  *         specialty:
  *           type: string
- *           description: Especialidade
+ *           description: Especialidade do catálogo (nome ou sinônimo) atendida pelo profissional; gravada com o nome do catálogo
  *         comments:
  *           type: string
  *           description: Comentários
@@ -44,18 +114,55 @@ const appointmentSchema = new mongoose.Schema(
  *           type: string
  *           format: date-time
  *           description: Data do agendamento
+ *         duration:
+ *           type: integer
+ *           default: 60
+ *           description: Duração em minutos
  *         student:
  *           type: string
- *           description: Nome do estudante
+ *           description: ID do estudante
  *         professional:
  *           type: string
- *           description: Nome do profissional
+ *           description: ID do profissional da saúde
+ *         legacy_student:
+ *           type: string
+ *           readOnly: true
+ *           description: Nome antigo do estudante não associado pela migração
+ *         legacy_professional:
+ *           type: string
+ *           readOnly: true
+ *           description: Nome antigo do profissional não associado pela migração
+ *         status:
+ *           type: string
+ *           readOnly: true
+ *           enum: [scheduled, confirmed, completed, cancelled, no-show]
+ *           description: Status atual (alterado por PATCH /appointments/{id}/status)
+ *         cancellation_reason:
+ *           type: string
+ *           readOnly: true
+ *           description: Código do motivo do cancelamento
+ *         status_history:
+ *           type: array
+ *           readOnly: true
+ *           description: Histórico das mudanças de status com data, usuário e motivo
+ *           items:
+ *             type: object
+ *         series:
+ *           type: string
+ *           readOnly: true
+ *           description: ID da série recorrente (quando for uma ocorrência)
+ *         occurrence_date:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: Data prevista pela regra da série
  *       example:
  *         specialty: "Fisioterapeuta"
  *         comments: "Realizar sessão"
  *         date: "2023-08-15T16:00:00Z"
- *         student: "Bingo Heeler"
- *         professional: "Winton Blake"
+ *         duration: 50
+ *         student: "6750b1f2c9a1e23d4f5a6b7c"
+ *         professional: "6750b21ac9a1e23d4f5a6b80"
  */
 
 /**
@@ -71,19 +178,30 @@ const appointmentSchema = new mongoose.Schema(
  * @swagger
  * /appointments/search:
  *   get:
- *     summary: Busca agendamentos por data
+ *     summary: Busca agendamentos por data ou período
+ *     description: >
+ *       Informe um dos filtros de período; datas são interpretadas no fuso da escola.
+ *       Inclui as ocorrências de séries recorrentes (ver /appointments/series).
  *     tags: [Agendamento em saúde]
  *     parameters:
+ *       - $ref: '#/components/parameters/dateParam'
+ *       - $ref: '#/components/parameters/fromParam'
+ *       - $ref: '#/components/parameters/toParam'
+ *       - $ref: '#/components/parameters/weekParam'
+ *       - $ref: '#/components/parameters/monthParam'
  *       - in: query
- *         name: date
+ *         name: status
  *         schema:
  *           type: string
- *           format: date
- *         required: true
- *         description: Data no formato YYYY-MM-DD
+ *         description: Filtra por status (separados por vírgula, ex. scheduled,confirmed)
+ *       - in: query
+ *         name: populate
+ *         schema:
+ *           type: boolean
+ *         description: Inclui os dados completos do estudante e do profissional
  *     responses:
  *       200:
- *         description: Lista de agendamentos encontrados para a data
+ *         description: Lista de agendamentos encontrados, em ordem de data
  *         content:
  *           application/json:
  *             schema:
@@ -91,26 +209,24 @@ const appointmentSchema = new mongoose.Schema(
  *               items:
  *                 $ref: '#/components/schemas/Agendamento em saúde'
  *       400:
- *         description: Parâmetro "date" ausente ou inválido
+ *         description: Período ausente ou inválido
  *       404:
  *         description: Nenhum agendamento encontrado
  */
 router.get('/search', async (req, res) => {
-    const { date } = req.query;
+    const range = parseRange(req.query);
   
-    if (!date || !moment(date, 'YYYY-MM-DD', true).isValid()) {
-      return res
-        .status(400)
-        .json({ error: 'Parâmetro "date" é obrigatório no formato YYYY-MM-DD.' });
+    if (range.error || !(range.start || range.end)) {
+      return res.status(400).json({
+        error: range.error || 'Informe o período com "date", "from"/"to", "week" ou "month".',
+      });
     }
   
     try {
-      const appointments = await Appointment.find({
-        date: {
-          $gte: moment(date).startOf('day').toDate(),
-          $lt: moment(date).endOf('day').toDate(),
-        },
-      });
+      const appointments = await withPopulate(
+        Appointment.find({ ...statusFilter(req), date: rangeFilter(range) }).sort({ date: 1 }),
+        req
+      );
   
       if (appointments.length === 0) {
         return res.status(404).json({ error: 'Nenhum agendamento encontrado' });
@@ -126,21 +242,48 @@ router.get('/search', async (req, res) => {
  * @swagger
  * /appointments:
  *   get:
- *     summary: Retorna todos os agendamentos
+ *     summary: Lista os agendamentos com paginação, ordenação e filtros
  *     tags: [Agendamento em saúde]
+ *     parameters:
+ *       - $ref: '#/components/parameters/pageParam'
+ *       - $ref: '#/components/parameters/limitParam'
+ *       - $ref: '#/components/parameters/sortParam'
+ *       - $ref: '#/components/parameters/filtersParam'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filtra por status (separados por vírgula, ex. scheduled,confirmed)
+ *       - in: query
+ *         name: populate
+ *         schema:
+ *           type: boolean
+ *         description: Inclui os dados completos do estudante e do profissional
  *     responses:
  *       200:
- *         description: Lista de agendamentos
+ *         description: Página da lista de agendamentos (padrão em ordem de data)
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Agendamento em saúde'
+ *       400:
+ *         description: Parâmetros de paginação, ordenação ou filtro inválidos
  */
 router.get('/', async (req, res) => {
+  const list = parseListQuery(Appointment, req.query, { ignore: ['status', 'populate'], defaultSort: { date: 1 } });
+  if (list.error) {
+    return res.status(400).json({ error: list.error });
+  }
+
   try {
-    const appointments = await Appointment.find();
+    const filter = { ...list.filter, ...statusFilter(req) };
+    const [appointments, total] = await Promise.all([
+      withPopulate(paginate(Appointment.find(filter), list), req),
+      Appointment.countDocuments(filter),
+    ]);
+    setPaginationHeaders(req, res, list, total);
     res.status(200).json(appointments);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -160,6 +303,11 @@ router.get('/', async (req, res) => {
  *           type: string
  *         required: true
  *         description: ID do agendamento
+ *       - in: query
+ *         name: populate
+ *         schema:
+ *           type: boolean
+ *         description: Inclui os dados completos do estudante e do profissional
  *     responses:
  *       200:
  *         description: Agendamento encontrado
@@ -172,7 +320,7 @@ router.get('/', async (req, res) => {
  */
 router.get('/:id', async (req, res) => {
   try {
-    const appointment = await Appointment.findById(req.params.id);
+    const appointment = await withPopulate(Appointment.findById(req.params.id), req);
     if (!appointment) {
       return res.status(404).json({ error: 'Agendamento não encontrado' });
     }
@@ -184,6 +332,66 @@ router.get('/:id', async (req, res) => {
 
 
 
+/**
+ * @swagger
+ * /appointments/check:
+ *   post:
+ *     summary: Verifica se um horário está livre sem salvar o agendamento
+ *     tags: [Agendamento em saúde]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *               duration:
+ *                 type: integer
+ *                 description: Duração em minutos (padrão 60)
+ *               student:
+ *                 type: string
+ *                 description: ID do estudante
+ *               professional:
+ *                 type: string
+ *                 description: ID do profissional
+ *               excludeId:
+ *                 type: string
+ *                 description: ID de um agendamento a ignorar (ao remarcar)
+ *     responses:
+ *       200:
+ *         description: Resultado da verificação com os agendamentos em conflito
+ *       400:
+ *         description: Parâmetros inválidos
+ */
+router.post('/check', async (req, res) => {
+  const { date, duration, student, professional, excludeId } = req.body || {};
+
+  if (!date || Number.isNaN(new Date(date).getTime())) {
+    return res.status(400).json({ error: 'Parâmetro "date" é obrigatório e deve ser uma data válida.' });
+  }
+  if (!student && !professional) {
+    return res.status(400).json({ error: 'Informe "student" e/ou "professional".' });
+  }
+  if (duration !== undefined && !(Number(duration) > 0)) {
+    return res.status(400).json({ error: 'Parâmetro "duration" deve ser um número positivo.' });
+  }
+
+  try {
+    const conflicts = await findConflicts(
+      { date, duration: duration && Number(duration), student, professional },
+      excludeId
+    );
+    res.status(200).json({ available: conflicts.length === 0, conflicts });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /appointments:
@@ -199,11 +407,31 @@ router.get('/:id', async (req, res) => {
  *     responses:
  *       201:
  *         description: Agendamento criado
+ *       400:
+ *         description: Dados inválidos, estudante/profissional inexistente ou especialidade não atendida pelo profissional
+ *       409:
+ *         description: Conflito de horário com outro agendamento
  */
 router.post('/', async (req, res) => {
   try {
-    const newAppointment = new Appointment(req.body);
+    const referenceError = await validateReferences(req.body);
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    const specialtyCheck = await checkProfessionalSpecialty(req.body);
+    if (specialtyCheck.error) {
+      return res.status(400).json({ error: specialtyCheck.error });
+    }
+
+    const newAppointment = new Appointment({ ...req.body, specialty: specialtyCheck.specialty || req.body.specialty });
+    const conflicts = await findConflicts(newAppointment);
+    if (conflicts.length > 0) {
+      return conflictResponse(res, conflicts);
+    }
+
     await newAppointment.save();
+    await recordAudit(req, { entityType: 'appointments', action: 'create', after: newAppointment });
     res.status(201).json(newAppointment);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -232,30 +460,153 @@ router.post('/', async (req, res) => {
  *     responses:
  *       200:
  *         description: Agendamento atualizado
+ *       400:
+ *         description: Dados inválidos, estudante/profissional inexistente ou especialidade não atendida pelo profissional
  *       404:
  *         description: Agendamento não encontrado
+ *       409:
+ *         description: Conflito de horário com outro agendamento
  */
 router.put('/:id', async (req, res) => {
   try {
+    const referenceError = await validateReferences(req.body);
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    const before = await Appointment.findById(req.params.id);
+    if (!before) {
+      return res.status(404).json({ error: 'Agendamento não encontrado' });
+    }
+
+    // O status só muda pelas transições de PATCH /appointments/{id}/status
+    const { status, status_history, cancellation_reason, ...changes } = req.body;
+    if (status !== undefined && status !== before.status) {
+      return res
+        .status(400)
+        .json({ error: 'Use PATCH /appointments/{id}/status para alterar o status.' });
+    }
+
+    // A especialidade é conferida de novo quando ela, o profissional ou a data mudam
+    if (['specialty', 'professional', 'date'].some((field) => changes[field] !== undefined)) {
+      const specialtyCheck = await checkProfessionalSpecialty({ ...before.toObject(), ...changes });
+      if (specialtyCheck.error) {
+        return res.status(400).json({ error: specialtyCheck.error });
+      }
+      if (specialtyCheck.specialty) changes.specialty = specialtyCheck.specialty;
+    }
+
+    if (ACTIVE_STATUSES.includes(before.status)) {
+      const conflicts = await findConflicts({ ...before.toObject(), ...changes }, before._id);
+      if (conflicts.length > 0) {
+        return conflictResponse(res, conflicts);
+      }
+    }
+
     const updatedAppointment = await Appointment.findByIdAndUpdate(
       req.params.id,
-      req.body,
-      { new: true }
+      changes,
+      { new: true, runValidators: true }
     );
     if (!updatedAppointment) {
       return res.status(404).json({ error: 'Agendamento não encontrado' });
     }
+    await recordAudit(req, { entityType: 'appointments', action: 'update', before, after: updatedAppointment });
     res.status(200).json(updatedAppointment);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
+/**
+ * @swagger
+ * /appointments/{id}/status:
+ *   patch:
+ *     summary: Altera o status de um agendamento
+ *     description: >
+ *       Transições permitidas - scheduled para confirmed, cancelled ou no-show;
+ *       confirmed para completed, cancelled ou no-show. Cancelamentos exigem "reason"
+ *       e oferecem o horário liberado à lista de espera da especialidade.
+ *     tags: [Agendamento em saúde]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do agendamento
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [confirmed, completed, cancelled, no-show]
+ *               reason:
+ *                 type: string
+ *                 enum: [family_request, student_illness, professional_unavailable, school_event, rescheduled, other]
+ *                 description: Código do motivo (obrigatório para cancelled)
+ *               note:
+ *                 type: string
+ *                 description: Observação livre
+ *           example:
+ *             status: "cancelled"
+ *             reason: "student_illness"
+ *             note: "Família avisou por telefone"
+ *     responses:
+ *       200:
+ *         description: Status alterado
+ *       400:
+ *         description: Transição não permitida ou motivo ausente
+ *       404:
+ *         description: Agendamento não encontrado
+ */
+router.patch('/:id/status', async (req, res) => {
+  const { status, reason, note } = req.body || {};
+
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({ error: 'Agendamento não encontrado' });
+    }
+
+    const transitionError = validateTransition(appointment.status, status, reason);
+    if (transitionError) {
+      return res.status(400).json({ error: transitionError });
+    }
+
+    const before = appointment.toJSON();
+    appointment.status = status;
+    if (status === 'cancelled') appointment.cancellation_reason = reason;
+    appointment.status_history.push({
+      status,
+      by: req.user._id,
+      reason: status === 'cancelled' ? reason : undefined,
+      note,
+    });
+    await appointment.save();
+
+    await recordAudit(req, { entityType: 'appointments', action: 'update', before, after: appointment });
+    if (status === 'cancelled') {
+      await offerFreedAppointment(req, appointment, before.status);
+    }
+    res.status(200).json(appointment);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /appointments/{id}:
  *   delete:
  *     summary: Remove um agendamento
+ *     description: O horário liberado é oferecido à lista de espera da especialidade.
  *     tags: [Agendamento em saúde]
  *     parameters:
  *       - in: path
@@ -269,15 +620,26 @@ router.put('/:id', async (req, res) => {
  *         description: Agendamento removido
  *       404:
  *         description: Agendamento não encontrado
+ *       409:
+ *         description: O agendamento tem notas de sessão
  */
 router.delete('/:id', async (req, res) => {
   try {
+    // Notas de sessão são permanentes; o agendamento delas deve ser cancelado, não removido
+    if (await mongoose.model('SessionNote').exists({ appointment: req.params.id })) {
+      return res
+        .status(409)
+        .json({ error: 'O agendamento tem notas de sessão; cancele-o com status "cancelled".' });
+    }
+
     const deletedAppointment = await Appointment.findByIdAndDelete(
       req.params.id
     );
     if (!deletedAppointment) {
       return res.status(404).json({ error: 'Agendamento não encontrado' });
     }
+    await recordAudit(req, { entityType: 'appointments', action: 'delete', before: deletedAppointment });
+    await offerFreedAppointment(req, deletedAppointment);
     res.status(204).send();
   } catch (err) {
     res.status(400).json({ error: err.message });
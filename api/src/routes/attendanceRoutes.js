@@ -0,0 +1,600 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { recordAudit } = require('../utils/audit');
+const { parseRange, rangeFilter, parseSchoolDate, schoolTime } = require('../utils/dateRange');
+
+const ATTENDANCE_STATUSES = ['present', 'absent', 'justified', 'late'];
+
+// Percentual de faltas (com ou sem justificativa) acima do qual o estudante é sinalizado
+const ABSENCE_THRESHOLD = Number(process.env.ATTENDANCE_ABSENCE_THRESHOLD) || 25;
+
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Comprovante anexado à justificativa (atestado, declaração...)
+const attachmentSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    url: String,
+    document: { type: mongoose.Schema.Types.ObjectId, ref: 'StudentDocument' }, // arquivo enviado em /students/{id}/documents
+  },
+  { _id: false }
+);
+
+const justificationSchema = new mongoose.Schema(
+  {
+    reason: { type: String, required: true },
+    attachments: [attachmentSchema],
+    justified_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Users' },
+    justified_at: Date,
+  },
+  { _id: false }
+);
+
+// Definição do esquema de frequência: um registro por estudante e dia letivo
+const attendanceSchema = new mongoose.Schema(
+  {
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    class: { type: mongoose.Schema.Types.ObjectId, ref: 'SchoolClass', required: true },
+    date: { type: Date, required: true }, // início do dia no fuso da escola
+    status: { type: String, enum: ATTENDANCE_STATUSES, required: true },
+    arrival_time: { type: String, match: [TIME_FORMAT, 'Horário de chegada deve estar no formato HH:mm.'] },
+    notes: String,
+    justification: justificationSchema,
+    recorded_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Users' },
+  },
+  { collection: 'attendance', timestamps: true }
+);
+attendanceSchema.index({ student: 1, date: 1 }, { unique: true });
+attendanceSchema.index({ class: 1, date: 1 });
+const Attendance = mongoose.model('Attendance', attendanceSchema);
+
+const RECORD_FIELDS = ['status', 'arrival_time', 'notes'];
+
+const pickFields = (source) =>
+  RECORD_FIELDS.reduce(
+    (fields, field) => (source[field] === undefined ? fields : { ...fields, [field]: source[field] }),
+    {}
+  );
+
+// Dia letivo do parâmetro YYYY-MM-DD; datas futuras não podem ter frequência
+const parseAttendanceDay = (value) => {
+  const day = parseSchoolDate(value);
+  if (!day) return { error: 'Data deve estar no formato YYYY-MM-DD.' };
+  if (day.isAfter(schoolTime(), 'day')) return { error: 'Não é possível registrar frequência de datas futuras.' };
+  return { date: day.startOf('day').toDate() };
+};
+
+const findRecord = async (req, res) => {
+  const record = mongoose.isValidObjectId(req.params.id) && (await Attendance.findById(req.params.id));
+  if (!record) {
+    res.status(404).json({ error: 'Registro de frequência não encontrado' });
+  }
+  return record;
+};
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Frequência:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID gerado automaticamente
+ *         student:
+ *           type: string
+ *           description: ID do estudante
+ *         class:
+ *           type: string
+ *           description: ID da turma
+ *         date:
+ *           type: string
+ *           format: date-time
+ *           description: Dia letivo (início do dia no fuso da escola)
+ *         status:
+ *           type: string
+ *           enum: [present, absent, justified, late]
+ *           description: Presente, falta, falta justificada ou atraso
+ *         arrival_time:
+ *           type: string
+ *           description: Horário de chegada (HH:mm), nos atrasos
+ *         notes:
+ *           type: string
+ *         justification:
+ *           type: object
+ *           readOnly: true
+ *           description: Justificativa da falta (POST /attendance/{id}/justification)
+ *           properties:
+ *             reason:
+ *               type: string
+ *             attachments:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   url:
+ *                     type: string
+ *                   document:
+ *                     type: string
+ *             justified_by:
+ *               type: string
+ *             justified_at:
+ *               type: string
+ *               format: date-time
+ *         recorded_by:
+ *           type: string
+ *           readOnly: true
+ *           description: Usuário que fez o registro
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Frequência
+ *   description: Registro diário de presença dos estudantes
+ */
+
+/**
+ * @swagger
+ * /attendance:
+ *   get:
+ *     summary: Lista os registros de frequência
+ *     tags: [Frequência]
+ *     parameters:
+ *       - in: query
+ *         name: class
+ *         schema:
+ *           type: string
+ *         description: Filtra pela turma
+ *       - in: query
+ *         name: student
+ *         schema:
+ *           type: string
+ *         description: Filtra pelo estudante
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [present, absent, justified, late]
+ *         description: Filtra pela situação
+ *       - $ref: '#/components/parameters/dateParam'
+ *       - $ref: '#/components/parameters/fromParam'
+ *       - $ref: '#/components/parameters/toParam'
+ *       - $ref: '#/components/parameters/weekParam'
+ *       - $ref: '#/components/parameters/monthParam'
+ *     responses:
+ *       200:
+ *         description: Registros em ordem de data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Frequência'
+ *       400:
+ *         description: Parâmetros inválidos
+ */
+router.get('/', async (req, res) => {
+  const range = parseRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  const filter = {};
+  if (req.query.class) filter.class = req.query.class;
+  if (req.query.student) filter.student = req.query.student;
+  if (req.query.status) filter.status = req.query.status;
+  if (range.start || range.end) filter.date = rangeFilter(range);
+
+  try {
+    const records = await Attendance.find(filter)
+      .populate('student', 'name')
+      .sort({ date: 1 });
+    res.status(200).json(records);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /attendance/report:
+ *   get:
+ *     summary: Relatório mensal de faltas por estudante
+ *     description: >
+ *       Conta os dias registrados no mês e sinaliza ("flagged") quem passou do limite de faltas,
+ *       com ou sem justificativa. O limite padrão vem de ATTENDANCE_ABSENCE_THRESHOLD (25%).
+ *     tags: [Frequência]
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *           example: 2024-03
+ *         required: true
+ *         description: Mês no formato YYYY-MM
+ *       - in: query
+ *         name: class
+ *         schema:
+ *           type: string
+ *         description: Somente uma turma
+ *       - in: query
+ *         name: threshold
+ *         schema:
+ *           type: number
+ *         description: Limite de faltas em percentual (substitui o padrão)
+ *       - in: query
+ *         name: flagged
+ *         schema:
+ *           type: boolean
+ *         description: Somente os estudantes acima do limite
+ *     responses:
+ *       200:
+ *         description: Contagens por estudante, dos mais faltosos para os menos
+ *       400:
+ *         description: Parâmetros inválidos
+ */
+router.get('/report', async (req, res) => {
+  if (!req.query.month) {
+    return res.status(400).json({ error: 'Parâmetro "month" é obrigatório no formato YYYY-MM.' });
+  }
+  const range = parseRange({ month: req.query.month });
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  const threshold = req.query.threshold === undefined ? ABSENCE_THRESHOLD : Number(req.query.threshold);
+  if (!(threshold >= 0 && threshold <= 100)) {
+    return res.status(400).json({ error: 'Parâmetro "threshold" deve ser um percentual entre 0 e 100.' });
+  }
+
+  const match = { date: rangeFilter(range) };
+  if (req.query.class) {
+    if (!mongoose.isValidObjectId(req.query.class)) {
+      return res.status(400).json({ error: 'Parâmetro "class" inválido.' });
+    }
+    match.class = new mongoose.Types.ObjectId(req.query.class);
+  }
+
+  try {
+    const totals = await Attendance.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$student',
+          days: { $sum: 1 },
+          ...Object.fromEntries(
+            ATTENDANCE_STATUSES.map((status) => [
+              status,
+              { $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } },
+            ])
+          ),
+        },
+      },
+    ]);
+
+    const students = await mongoose
+      .model('Student')
+      .find({ _id: { $in: totals.map((total) => total._id) } }, 'name');
+    const names = new Map(students.map((student) => [student._id.toString(), student.name]));
+
+    const report = totals
+      .map(({ _id, days, ...counts }) => {
+        const absences = counts.absent + counts.justified;
+        const absence_rate = Math.round((absences / days) * 1000) / 10;
+        return {
+          student: { id: _id, name: names.get(_id.toString()) || null },
+          days,
+          ...counts,
+          absences,
+          absence_rate,
+          flagged: absence_rate > threshold,
+        };
+      })
+      .filter((entry) => req.query.flagged !== 'true' || entry.flagged)
+      .sort((a, b) => b.absence_rate - a.absence_rate);
+
+    res.status(200).json({ month: req.query.month, threshold, students: report });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /attendance/classes/{classId}/{date}:
+ *   put:
+ *     summary: Registra a frequência da turma inteira em um dia
+ *     description: >
+ *       Cria ou atualiza um registro por estudante com matrícula ativa na turma. Estudantes
+ *       fora de "records" recebem "default_status", quando informado.
+ *     tags: [Frequência]
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *       - in: path
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: Dia letivo (YYYY-MM-DD)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               default_status:
+ *                 type: string
+ *                 enum: [present, absent, justified, late]
+ *               records:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - student
+ *                     - status
+ *                   properties:
+ *                     student:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [present, absent, justified, late]
+ *                     arrival_time:
+ *                       type: string
+ *                     notes:
+ *                       type: string
+ *           example:
+ *             default_status: present
+ *             records:
+ *               - student: "6750b1f2c9a1e23d4f5a6b7c"
+ *                 status: absent
+ *               - student: "6750b1f2c9a1e23d4f5a6b7f"
+ *                 status: late
+ *                 arrival_time: "08:20"
+ *     responses:
+ *       200:
+ *         description: Registros do dia para a turma
+ *       400:
+ *         description: Data inválida, situação inválida ou estudante fora da turma
+ *       404:
+ *         description: Turma não encontrada
+ */
+router.put('/classes/:classId/:date', async (req, res) => {
+  const { default_status, records = [] } = req.body || {};
+  const { date, error } = parseAttendanceDay(req.params.date);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (default_status !== undefined && !ATTENDANCE_STATUSES.includes(default_status)) {
+    return res
+      .status(400)
+      .json({ error: `Campo "default_status" inválido. Use: ${ATTENDANCE_STATUSES.join(', ')}.` });
+  }
+  if (!Array.isArray(records)) {
+    return res.status(400).json({ error: 'Campo "records" deve ser uma lista.' });
+  }
+
+  try {
+    const { classId } = req.params;
+    if (!mongoose.isValidObjectId(classId) || !(await mongoose.model('SchoolClass').exists({ _id: classId }))) {
+      return res.status(404).json({ error: 'Turma não encontrada' });
+    }
+
+    // Estudantes com matrícula ativa na turma (modelo Enrollment em routes/classesRoutes.js)
+    const enrolled = await mongoose.model('Enrollment').distinct('student', { class: classId, status: 'active' });
+    const enrolledIds = new Set(enrolled.map(String));
+
+    const byStudent = new Map();
+    for (const record of records) {
+      if (!record || !enrolledIds.has(String(record.student))) {
+        return res
+          .status(400)
+          .json({ error: `Estudante ${record && record.student} não tem matrícula ativa nesta turma.` });
+      }
+      byStudent.set(String(record.student), pickFields(record));
+    }
+    if (default_status) {
+      for (const id of enrolledIds) {
+        if (!byStudent.has(id)) byStudent.set(id, { status: default_status });
+      }
+    }
+
+    // Monta e valida todos os registros antes de gravar: um registro inválido recusa a chamada inteira
+    const existing = await Attendance.find({ date, student: { $in: [...byStudent.keys()] } });
+    const changes = [];
+    for (const [student, fields] of byStudent) {
+      const record =
+        existing.find((found) => String(found.student) === student) ||
+        new Attendance({ student, date, class: classId });
+      const before = record.isNew ? undefined : record.toJSON();
+      record.set({ ...fields, class: classId, recorded_by: req.user._id });
+      try {
+        await record.validate();
+      } catch (err) {
+        return res.status(400).json({ error: `Estudante ${student}: ${err.message}` });
+      }
+      changes.push({ record, before });
+    }
+
+    // Uma única gravação em lote para todos os estudantes
+    await Attendance.bulkSave(changes.map(({ record }) => record));
+    for (const { record, before } of changes) {
+      await recordAudit(req, {
+        entityType: 'attendance',
+        action: before ? 'update' : 'create',
+        before,
+        after: record,
+      });
+    }
+
+    res.status(200).json(changes.map(({ record }) => record));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /attendance/{id}:
+ *   put:
+ *     summary: Corrige um registro de frequência
+ *     tags: [Frequência]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do registro
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Frequência'
+ *     responses:
+ *       200:
+ *         description: Registro atualizado
+ *       404:
+ *         description: Registro não encontrado
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const record = await findRecord(req, res);
+    if (!record) return;
+
+    const before = record.toJSON();
+    record.set({ ...pickFields(req.body || {}), recorded_by: req.user._id });
+    await record.save();
+    await recordAudit(req, { entityType: 'attendance', action: 'update', before, after: record });
+    res.status(200).json(record);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /attendance/{id}/justification:
+ *   post:
+ *     summary: Justifica uma falta, com comprovantes
+ *     description: O registro passa para "justified"; enviar de novo substitui a justificativa.
+ *     tags: [Frequência]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do registro
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     url:
+ *                       type: string
+ *                     document:
+ *                       type: string
+ *                       description: ID de um documento do estudante (/students/{id}/documents)
+ *     responses:
+ *       200:
+ *         description: Falta justificada
+ *       400:
+ *         description: O registro não é uma falta ou a justificativa é inválida
+ *       404:
+ *         description: Registro não encontrado
+ */
+router.post('/:id/justification', async (req, res) => {
+  const { reason, attachments } = req.body || {};
+
+  try {
+    const record = await findRecord(req, res);
+    if (!record) return;
+    if (!['absent', 'justified'].includes(record.status)) {
+      return res.status(400).json({ error: 'Somente faltas podem ser justificadas.' });
+    }
+
+    // Documentos anexados precisam ser do próprio estudante
+    const documents = (Array.isArray(attachments) ? attachments : [])
+      .map((attachment) => attachment && attachment.document)
+      .filter(Boolean);
+    if (documents.length > 0) {
+      const found = documents.every(mongoose.isValidObjectId)
+        ? await mongoose
+            .model('StudentDocument')
+            .countDocuments({ _id: { $in: documents }, student: record.student })
+        : 0;
+      if (found !== new Set(documents.map(String)).size) {
+        return res.status(400).json({ error: 'Documento anexado não pertence ao estudante.' });
+      }
+    }
+
+    const before = record.toJSON();
+    record.status = 'justified';
+    record.justification = { reason, attachments, justified_by: req.user._id, justified_at: new Date() };
+    await record.save();
+    await recordAudit(req, { entityType: 'attendance', action: 'update', before, after: record });
+    res.status(200).json(record);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /attendance/{id}:
+ *   delete:
+ *     summary: Remove um registro de frequência
+ *     tags: [Frequência]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do registro
+ *     responses:
+ *       204:
+ *         description: Registro removido
+ *       404:
+ *         description: Registro não encontrado
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deletedRecord = await Attendance.findByIdAndDelete(req.params.id);
+    if (!deletedRecord) {
+      return res.status(404).json({ error: 'Registro de frequência não encontrado' });
+    }
+    await recordAudit(req, { entityType: 'attendance', action: 'delete', before: deletedRecord });
+    res.status(204).send();
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { parseRange, rangeFilter } = require('../utils/dateRange');
+
+// Definição do esquema da trilha de auditoria
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'Users' },
+    actorName: String,
+    entityType: { type: String, required: true },
+    entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    action: { type: String, enum: ['create', 'update', 'delete'], required: true },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    timestamp: { type: Date, default: Date.now },
+  },
+  { collection: 'audit-logs' }
+);
+auditLogSchema.index({ entityType: 1, entityId: 1, timestamp: -1 });
+auditLogSchema.index({ actor: 1, timestamp: -1 });
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+const MAX_LIMIT = 1000;
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Auditoria:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID gerado automaticamente
+ *         actor:
+ *           type: string
+ *           description: ID do usuário que fez a alteração
+ *         actorName:
+ *           type: string
+ *           description: Nome de identificação do usuário
+ *         entityType:
+ *           type: string
+ *           description: Tipo da entidade (users, students, teachers, prof-saude, events, appointments)
+ *         entityId:
+ *           type: string
+ *           description: ID da entidade alterada
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete]
+ *           description: Operação realizada
+ *         before:
+ *           type: object
+ *           description: Documento antes da alteração
+ *         after:
+ *           type: object
+ *           description: Documento após a alteração
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *           description: Data e hora da alteração
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auditoria
+ *   description: Consulta da trilha de auditoria
+ */
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: Consulta registros de auditoria
+ *     tags: [Auditoria]
+ *     parameters:
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *         description: Tipo da entidade (ex. students)
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *         description: ID da entidade
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: ID do usuário que fez a alteração
+ *       - $ref: '#/components/parameters/dateParam'
+ *       - $ref: '#/components/parameters/fromParam'
+ *       - $ref: '#/components/parameters/toParam'
+ *       - $ref: '#/components/parameters/weekParam'
+ *       - $ref: '#/components/parameters/monthParam'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *         description: Quantidade máxima de registros (até 1000)
+ *     responses:
+ *       200:
+ *         description: Registros encontrados, do mais recente para o mais antigo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Auditoria'
+ *       400:
+ *         description: Parâmetros inválidos
+ */
+router.get('/', async (req, res) => {
+  const { entityType, entityId, actor } = req.query;
+  const filter = {};
+
+  for (const [name, value] of [['entityId', entityId], ['actor', actor]]) {
+    if (value && !mongoose.isValidObjectId(value)) {
+      return res.status(400).json({ error: `Parâmetro "${name}" inválido.` });
+    }
+  }
+  const range = parseRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  if (entityType) filter.entityType = entityType;
+  if (entityId) filter.entityId = entityId;
+  if (actor) filter.actor = actor;
+  if (range.start || range.end) filter.timestamp = rangeFilter(range);
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, MAX_LIMIT);
+
+  try {
+    const logs = await AuditLog.find(filter).sort({ timestamp: -1 }).limit(limit);
+    res.status(200).json(logs);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,253 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const {
+  authenticate,
+  hashToken,
+  signAccessToken,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+} = require('../middleware/auth');
+
+// Definição do esquema de sessões (uma por login, renovada pelo refresh token)
+const sessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'Users', required: true },
+    refreshTokenHash: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: Date,
+  },
+  { collection: 'sessions', timestamps: true }
+);
+const Session = mongoose.model('Session', sessionSchema);
+
+// Gera um novo refresh token para a sessão e devolve os dois tokens
+const issueTokens = async (user, session) => {
+  const refreshToken = uuidv4();
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    user,
+  };
+};
+
+
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *   schemas:
+ *     Login:
+ *       type: object
+ *       required:
+ *         - user
+ *         - pwd
+ *       properties:
+ *         user:
+ *           type: string
+ *           description: Nome de identificação do usuário
+ *         pwd:
+ *           type: string
+ *           description: Senha do usuário
+ *       example:
+ *         user: "caio.hobold"
+ *         pwd: "password123"
+ *     Tokens:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Token de acesso (enviar como "Authorization Bearer")
+ *         refreshToken:
+ *           type: string
+ *           description: Token para renovar o acesso
+ *         expiresIn:
+ *           type: string
+ *           description: Validade do token de acesso
+ *         user:
+ *           $ref: '#/components/schemas/Usuários'
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Autenticação
+ *   description: Login, logout e renovação de tokens
+ */
+
+/**
+ * @swagger
+ * /auth/setup:
+ *   post:
+ *     summary: Cria o primeiro usuário administrador (somente com a coleção vazia)
+ *     tags: [Autenticação]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Usuários'
+ *     responses:
+ *       201:
+ *         description: Administrador criado
+ *       409:
+ *         description: Já existem usuários cadastrados
+ */
+router.post('/setup', async (req, res) => {
+  try {
+    const User = mongoose.model('Users');
+    if ((await User.countDocuments()) > 0) {
+      return res.status(409).json({ error: 'Já existem usuários cadastrados.' });
+    }
+
+    const admin = new User({ ...req.body, level: 'admin', status: 'on' });
+    await admin.save();
+    res.status(201).json(admin);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     summary: Autentica um usuário e inicia uma sessão
+ *     tags: [Autenticação]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Login'
+ *     responses:
+ *       200:
+ *         description: Login realizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tokens'
+ *       400:
+ *         description: Parâmetros "user" e "pwd" ausentes
+ *       401:
+ *         description: Usuário ou senha inválidos
+ *       403:
+ *         description: Usuário inativo
+ */
+router.post('/login', async (req, res) => {
+  const { user, pwd } = req.body || {};
+
+  if (!user || !pwd) {
+    return res.status(400).json({ error: 'Parâmetros "user" e "pwd" são obrigatórios.' });
+  }
+
+  try {
+    const User = mongoose.model('Users');
+    const found = await User.findOne({ user });
+
+    if (!found || !(await found.comparePassword(pwd))) {
+      return res.status(401).json({ error: 'Usuário ou senha inválidos.' });
+    }
+    if (found.status === 'off') {
+      return res.status(403).json({ error: 'Usuário inativo.' });
+    }
+
+    const session = new Session({ user: found._id });
+    res.status(200).json(await issueTokens(found, session));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Renova o token de acesso a partir do refresh token
+ *     tags: [Autenticação]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Novos tokens (o refresh token anterior deixa de valer)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tokens'
+ *       400:
+ *         description: Parâmetro "refreshToken" ausente
+ *       401:
+ *         description: Refresh token inválido, expirado ou revogado
+ */
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body || {};
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Parâmetro "refreshToken" é obrigatório.' });
+  }
+
+  try {
+    const session = await Session.findOne({ refreshTokenHash: hashToken(refreshToken) });
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      return res.status(401).json({ error: 'Refresh token inválido ou expirado.' });
+    }
+
+    const User = mongoose.model('Users');
+    const user = await User.findById(session.user);
+    if (!user || user.status === 'off') {
+      return res.status(401).json({ error: 'Usuário inexistente ou inativo.' });
+    }
+
+    res.status(200).json(await issueTokens(user, session));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Encerra a sessão atual
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       204:
+ *         description: Sessão encerrada
+ *       401:
+ *         description: Token ausente ou inválido
+ */
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    req.session.revokedAt = new Date();
+    await req.session.save();
+    res.status(204).send();
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
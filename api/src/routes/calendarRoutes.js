@@ -0,0 +1,215 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { parseRange, rangeFilter } = require('../utils/dateRange');
+const { activeStatusFilter } = require('../utils/appointmentStatus');
+const {
+  ENTRY_TYPES,
+  GROUP_FORMATS,
+  eventEntry,
+  appointmentEntry,
+  mergeEntries,
+  groupEntries,
+} = require('../utils/calendar');
+
+// Maior período aceito em uma consulta à agenda
+const MAX_CALENDAR_DAYS = 366;
+
+// Filtro de eventos pelos convidados (professores e estudantes; profissionais não são convidados)
+const eventFilter = ({ student, teacher, professional }) => {
+  if (professional) return null;
+
+  const invited = [
+    ['student', student],
+    ['teacher', teacher],
+  ]
+    .filter(([, id]) => id)
+    .map(([kind, id]) => ({ participants: { $elemMatch: { kind, person: id } } }));
+
+  return invited.length ? { $and: invited } : {};
+};
+
+// Filtro de agendamentos (modelo em routes/appointmentsRoutes.js; professores não participam)
+const appointmentFilter = ({ student, teacher, professional }, includeCancelled) => {
+  if (teacher) return null;
+
+  const filter = includeCancelled ? {} : { ...activeStatusFilter };
+  if (student) filter.student = student;
+  if (professional) filter.professional = professional;
+  return filter;
+};
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Item da agenda:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [event, appointment]
+ *           description: Origem do item
+ *         id:
+ *           type: string
+ *           description: ID do evento ou do agendamento
+ *         title:
+ *           type: string
+ *           description: Descrição do evento ou "especialidade - estudante" do agendamento
+ *         notes:
+ *           type: string
+ *           description: Comentário do evento ou do agendamento
+ *         start:
+ *           type: string
+ *           format: date-time
+ *         end:
+ *           type: string
+ *           format: date-time
+ *           description: Início mais a duração (eventos contam 1 hora)
+ *         status:
+ *           type: string
+ *           nullable: true
+ *           description: Situação do agendamento (null em eventos)
+ *         student:
+ *           type: object
+ *           description: Estudante do agendamento ({ id, name })
+ *         professional:
+ *           type: object
+ *           description: Profissional do agendamento ({ id, name })
+ *         series:
+ *           type: string
+ *           nullable: true
+ *           description: Série recorrente do agendamento
+ *         participants:
+ *           type: object
+ *           description: Convidados e confirmados do evento ({ invited, confirmed })
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Agenda
+ *   description: Eventos e agendamentos em uma única linha do tempo
+ */
+
+/**
+ * @swagger
+ * /calendar:
+ *   get:
+ *     summary: Agenda unificada de eventos e agendamentos em um período
+ *     description: >
+ *       Informe um dos filtros de período (no máximo 366 dias). Os filtros de pessoa se
+ *       combinam: "student" traz os agendamentos do estudante e os eventos em que ele foi
+ *       convidado, "teacher" traz apenas eventos e "professional" apenas agendamentos.
+ *     tags: [Agenda]
+ *     parameters:
+ *       - $ref: '#/components/parameters/dateParam'
+ *       - $ref: '#/components/parameters/fromParam'
+ *       - $ref: '#/components/parameters/toParam'
+ *       - $ref: '#/components/parameters/weekParam'
+ *       - $ref: '#/components/parameters/monthParam'
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [event, appointment]
+ *         description: Somente eventos ou somente agendamentos
+ *       - in: query
+ *         name: student
+ *         schema:
+ *           type: string
+ *         description: ID do estudante
+ *       - in: query
+ *         name: teacher
+ *         schema:
+ *           type: string
+ *         description: ID do professor
+ *       - in: query
+ *         name: professional
+ *         schema:
+ *           type: string
+ *         description: ID do profissional da saúde
+ *       - in: query
+ *         name: cancelled
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Inclui agendamentos cancelados
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *         description: Agrupa os itens por dia, semana ISO ou mês ({ key, start, end, items })
+ *     responses:
+ *       200:
+ *         description: Itens em ordem de início (ou grupos, com "group")
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Item da agenda'
+ *       400:
+ *         description: Parâmetros inválidos
+ */
+router.get('/', async (req, res) => {
+  const { type, group, student, teacher, professional } = req.query;
+  const range = parseRange(req.query);
+
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  if (!range.start || !range.end) {
+    return res
+      .status(400)
+      .json({ error: 'Informe o período com "date", "from" e "to", "week" ou "month".' });
+  }
+  if (range.end.diff(range.start, 'days') >= MAX_CALENDAR_DAYS) {
+    return res
+      .status(400)
+      .json({ error: `O período deve ter no máximo ${MAX_CALENDAR_DAYS} dias.` });
+  }
+  if (type && !ENTRY_TYPES.includes(type)) {
+    return res
+      .status(400)
+      .json({ error: `Parâmetro "type" inválido. Use: ${ENTRY_TYPES.join(', ')}.` });
+  }
+  if (group && !GROUP_FORMATS[group]) {
+    return res
+      .status(400)
+      .json({ error: `Parâmetro "group" inválido. Use: ${Object.keys(GROUP_FORMATS).join(', ')}.` });
+  }
+  for (const [name, value] of [['student', student], ['teacher', teacher], ['professional', professional]]) {
+    if (value && !mongoose.isValidObjectId(value)) {
+      return res.status(400).json({ error: `Parâmetro "${name}" inválido.` });
+    }
+  }
+
+  const people = { student, teacher, professional };
+  const date = rangeFilter(range);
+  const events = type !== 'appointment' ? eventFilter(people) : null;
+  const appointments =
+    type !== 'event' ? appointmentFilter(people, req.query.cancelled === 'true') : null;
+
+  try {
+    const [eventDocs, appointmentDocs] = await Promise.all([
+      events ? mongoose.model('Event').find({ ...events, date }) : [],
+      appointments
+        ? mongoose
+            .model('Appointment')
+            .find({ ...appointments, date })
+            .populate('student', 'name')
+            .populate('professional', 'name')
+        : [],
+    ]);
+
+    const entries = mergeEntries(eventDocs.map(eventEntry), appointmentDocs.map(appointmentEntry));
+    res.status(200).json(group ? groupEntries(entries, group) : entries);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,693 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { recordAudit } = require('../utils/audit');
+const { SHIFTS } = require('../utils/classes');
+const ENROLLMENT_STATUSES = ['active', 'transferred', 'withdrawn', 'completed'];
+
+// Professor de uma disciplina na turma
+const subjectTeacherSchema = new mongoose.Schema(
+  {
+    teacher: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher', required: true },
+    subject: String, // padrão: Teacher.subject
+  },
+  { _id: false }
+);
+
+// Definição do esquema de turmas
+const classSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true }, // ex.: "3º ano A"
+    school_year: { type: Number, required: true },
+    grade: { type: String, required: true }, // série ou ano
+    shift: { type: String, enum: SHIFTS, required: true },
+    homeroom_teacher: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher' },
+    subject_teachers: [subjectTeacherSchema],
+    capacity: { type: Number, min: 1 },
+    status: { type: String, default: 'on' },
+  },
+  { collection: 'classes', timestamps: true }
+);
+classSchema.index({ school_year: 1, name: 1 }, { unique: true });
+classSchema.index({ homeroom_teacher: 1 });
+classSchema.index({ 'subject_teachers.teacher': 1 });
+const SchoolClass = mongoose.model('SchoolClass', classSchema);
+
+// Matrícula de um estudante em uma turma; transferências encerram a matrícula e abrem outra
+const enrollmentSchema = new mongoose.Schema(
+  {
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    class: { type: mongoose.Schema.Types.ObjectId, ref: 'SchoolClass', required: true },
+    school_year: { type: Number, required: true },
+    start_date: { type: Date, default: Date.now },
+    end_date: Date,
+    status: { type: String, enum: ENROLLMENT_STATUSES, default: 'active' },
+    end_reason: String,
+    transferred_to: { type: mongoose.Schema.Types.ObjectId, ref: 'SchoolClass' },
+  },
+  { collection: 'enrollments', timestamps: true }
+);
+enrollmentSchema.index({ class: 1, status: 1 });
+enrollmentSchema.index({ student: 1, school_year: 1 });
+const Enrollment = mongoose.model('Enrollment', enrollmentSchema);
+
+// Confere os professores informados e completa a disciplina a partir do cadastro
+const resolveTeachers = async (body) => {
+  const Teacher = mongoose.model('Teacher');
+  const { homeroom_teacher, subject_teachers } = body;
+
+  const homeroomExists =
+    mongoose.isValidObjectId(homeroom_teacher) && (await Teacher.exists({ _id: homeroom_teacher }));
+  if (homeroom_teacher && !homeroomExists) {
+    return { error: 'Professor informado em "homeroom_teacher" não existe.' };
+  }
+  if (subject_teachers === undefined) return { fields: body };
+  if (!Array.isArray(subject_teachers)) return { error: 'Campo "subject_teachers" deve ser uma lista.' };
+
+  const resolved = [];
+  for (const entry of subject_teachers) {
+    const teacher = mongoose.isValidObjectId(entry && entry.teacher) && (await Teacher.findById(entry.teacher));
+    if (!teacher) return { error: 'Professor informado em "subject_teachers" não existe.' };
+    resolved.push({ teacher: teacher._id, subject: entry.subject || teacher.subject });
+  }
+  return { fields: { ...body, subject_teachers: resolved } };
+};
+
+const findClass = async (req, res) => {
+  const schoolClass = mongoose.isValidObjectId(req.params.id) && (await SchoolClass.findById(req.params.id));
+  if (!schoolClass) {
+    res.status(404).json({ error: 'Turma não encontrada' });
+  }
+  return schoolClass;
+};
+
+// Matrícula ativa do estudante no ano letivo, em qualquer turma
+const activeEnrollmentOf = (student, schoolYear) =>
+  Enrollment.findOne({ student, school_year: schoolYear, status: 'active' });
+
+// Recusa a matrícula se a turma já estiver cheia; devolve a mensagem de erro ou null
+const checkCapacity = async (schoolClass) => {
+  if (!schoolClass.capacity) return null;
+  const enrolled = await Enrollment.countDocuments({ class: schoolClass._id, status: 'active' });
+  return enrolled >= schoolClass.capacity
+    ? `A turma ${schoolClass.name} está completa (${schoolClass.capacity} estudantes).`
+    : null;
+};
+
+// Encerra a matrícula ativa do estudante na turma da rota
+const closeEnrollment = async (req, res, status, changes = {}) => {
+  const enrollment = await Enrollment.findOne({
+    class: req.params.id,
+    student: req.params.studentId,
+    status: 'active',
+  });
+  if (!enrollment) {
+    res.status(404).json({ error: 'Estudante sem matrícula ativa nesta turma' });
+    return null;
+  }
+
+  const before = enrollment.toJSON();
+  enrollment.set({ ...changes, status, end_date: (req.body && req.body.date) || new Date() });
+  await enrollment.save();
+  await recordAudit(req, { entityType: 'enrollments', action: 'update', before, after: enrollment });
+  return enrollment;
+};
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Turma:
+ *       type: object
+ *       required:
+ *         - name
+ *         - school_year
+ *         - grade
+ *         - shift
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID gerado automaticamente
+ *         name:
+ *           type: string
+ *           description: Nome da turma (único no ano letivo)
+ *         school_year:
+ *           type: integer
+ *           description: Ano letivo
+ *         grade:
+ *           type: string
+ *           description: Série ou ano
+ *         shift:
+ *           type: string
+ *           enum: [morning, afternoon, evening, full]
+ *           description: Turno
+ *         homeroom_teacher:
+ *           type: string
+ *           description: ID do professor regente
+ *         subject_teachers:
+ *           type: array
+ *           description: Professores por disciplina (sem "subject", usa a matéria do cadastro do professor)
+ *           items:
+ *             type: object
+ *             properties:
+ *               teacher:
+ *                 type: string
+ *               subject:
+ *                 type: string
+ *         capacity:
+ *           type: integer
+ *           description: Número máximo de estudantes
+ *         status:
+ *           type: string
+ *           description: Status da turma (on/off)
+ *       example:
+ *         name: "3º ano A"
+ *         school_year: 2024
+ *         grade: "3º ano"
+ *         shift: "morning"
+ *         homeroom_teacher: "6750b1f2c9a1e23d4f5a6b7d"
+ *         subject_teachers:
+ *           - teacher: "6750b1f2c9a1e23d4f5a6b7e"
+ *         capacity: 25
+ *     Matrícula:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         student:
+ *           type: string
+ *           description: ID do estudante
+ *         class:
+ *           type: string
+ *           description: ID da turma
+ *         school_year:
+ *           type: integer
+ *         start_date:
+ *           type: string
+ *           format: date-time
+ *         end_date:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [active, transferred, withdrawn, completed]
+ *         end_reason:
+ *           type: string
+ *         transferred_to:
+ *           type: string
+ *           description: Turma de destino da transferência
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Turmas
+ *   description: Turmas, professores e matrículas dos estudantes
+ */
+
+/**
+ * @swagger
+ * /classes:
+ *   get:
+ *     summary: Lista as turmas
+ *     tags: [Turmas]
+ *     parameters:
+ *       - in: query
+ *         name: school_year
+ *         schema:
+ *           type: integer
+ *         description: Filtra pelo ano letivo
+ *       - in: query
+ *         name: grade
+ *         schema:
+ *           type: string
+ *         description: Filtra pela série
+ *       - in: query
+ *         name: shift
+ *         schema:
+ *           type: string
+ *           enum: [morning, afternoon, evening, full]
+ *         description: Filtra pelo turno
+ *       - in: query
+ *         name: teacher
+ *         schema:
+ *           type: string
+ *         description: Turmas em que o professor é regente ou leciona
+ *     responses:
+ *       200:
+ *         description: Lista de turmas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Turma'
+ */
+router.get('/', async (req, res) => {
+  const { school_year, grade, shift, teacher } = req.query;
+  const filter = {};
+  if (school_year) filter.school_year = Number(school_year);
+  if (grade) filter.grade = grade;
+  if (shift) filter.shift = shift;
+  if (teacher) filter.$or = [{ homeroom_teacher: teacher }, { 'subject_teachers.teacher': teacher }];
+
+  try {
+    const classes = await SchoolClass.find(filter).sort({ school_year: -1, name: 1 });
+    res.status(200).json(classes);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /classes/{id}:
+ *   get:
+ *     summary: Retorna uma turma pelo ID
+ *     tags: [Turmas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *     responses:
+ *       200:
+ *         description: Dados da turma
+ *       404:
+ *         description: Turma não encontrada
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const schoolClass = await findClass(req, res);
+    if (!schoolClass) return;
+    res.status(200).json(schoolClass);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /classes:
+ *   post:
+ *     summary: Cria uma turma
+ *     tags: [Turmas]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Turma'
+ *     responses:
+ *       201:
+ *         description: Turma criada
+ *       400:
+ *         description: Dados inválidos ou professor inexistente
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { fields, error } = await resolveTeachers(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const newClass = new SchoolClass(fields);
+    await newClass.save();
+    await recordAudit(req, { entityType: 'classes', action: 'create', after: newClass });
+    res.status(201).json(newClass);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /classes/{id}:
+ *   put:
+ *     summary: Atualiza uma turma
+ *     description: O ano letivo não pode ser alterado depois que a turma tem matrículas.
+ *     tags: [Turmas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Turma'
+ *     responses:
+ *       200:
+ *         description: Turma atualizada
+ *       400:
+ *         description: Dados inválidos
+ *       404:
+ *         description: Turma não encontrada
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const schoolClass = await findClass(req, res);
+    if (!schoolClass) return;
+
+    const { fields, error } = await resolveTeachers(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (
+      fields.school_year !== undefined &&
+      Number(fields.school_year) !== schoolClass.school_year &&
+      (await Enrollment.exists({ class: schoolClass._id }))
+    ) {
+      return res
+        .status(400)
+        .json({ error: 'O ano letivo não pode ser alterado em uma turma com matrículas.' });
+    }
+
+    const before = schoolClass.toJSON();
+    schoolClass.set(fields);
+    await schoolClass.save();
+    await recordAudit(req, { entityType: 'classes', action: 'update', before, after: schoolClass });
+    res.status(200).json(schoolClass);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /classes/{id}:
+ *   delete:
+ *     summary: Remove uma turma sem matrículas
+ *     tags: [Turmas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *     responses:
+ *       204:
+ *         description: Turma removida
+ *       404:
+ *         description: Turma não encontrada
+ *       409:
+ *         description: A turma tem histórico de matrículas
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    if (await Enrollment.exists({ class: req.params.id })) {
+      return res
+        .status(409)
+        .json({ error: 'A turma tem histórico de matrículas; desative-a com status "off".' });
+    }
+    if (await mongoose.model('Teacher').exists({ 'schedule.class': req.params.id })) {
+      return res
+        .status(409)
+        .json({ error: 'A turma está na grade de aulas de professores; remova as aulas antes.' });
+    }
+
+    const deletedClass = await SchoolClass.findByIdAndDelete(req.params.id);
+    if (!deletedClass) {
+      return res.status(404).json({ error: 'Turma não encontrada' });
+    }
+    await recordAudit(req, { entityType: 'classes', action: 'delete', before: deletedClass });
+    res.status(204).send();
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /classes/{id}/students:
+ *   get:
+ *     summary: Lista os estudantes da turma
+ *     tags: [Turmas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *       - in: query
+ *         name: history
+ *         schema:
+ *           type: boolean
+ *         description: Inclui matrículas encerradas (transferidos, desistentes, concluídos)
+ *     responses:
+ *       200:
+ *         description: Matrículas com os dados do estudante
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Matrícula'
+ *       404:
+ *         description: Turma não encontrada
+ */
+router.get('/:id/students', async (req, res) => {
+  try {
+    const schoolClass = await findClass(req, res);
+    if (!schoolClass) return;
+
+    const filter = { class: schoolClass._id };
+    if (req.query.history !== 'true') filter.status = 'active';
+    const enrollments = await Enrollment.find(filter)
+      .populate('student', 'name age status')
+      .sort({ start_date: 1 });
+    res.status(200).json(enrollments);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /classes/{id}/students:
+ *   post:
+ *     summary: Matricula um estudante na turma
+ *     description: O estudante só pode ter uma matrícula ativa por ano letivo; para mudar de turma use a transferência.
+ *     tags: [Turmas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - student
+ *             properties:
+ *               student:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Início da matrícula (padrão agora)
+ *     responses:
+ *       201:
+ *         description: Matrícula criada
+ *       400:
+ *         description: Estudante inexistente ou turma completa
+ *       404:
+ *         description: Turma não encontrada
+ *       409:
+ *         description: O estudante já está matriculado em uma turma do ano letivo
+ */
+router.post('/:id/students', async (req, res) => {
+  const { student, date } = req.body || {};
+
+  try {
+    const schoolClass = await findClass(req, res);
+    if (!schoolClass) return;
+
+    if (!mongoose.isValidObjectId(student) || !(await mongoose.model('Student').exists({ _id: student }))) {
+      return res.status(400).json({ error: 'Estudante informado em "student" não existe.' });
+    }
+    const current = await activeEnrollmentOf(student, schoolClass.school_year);
+    if (current) {
+      return res.status(409).json({
+        error: `O estudante já está matriculado em uma turma de ${schoolClass.school_year}; use a transferência.`,
+        enrollment: current,
+      });
+    }
+    const capacityError = await checkCapacity(schoolClass);
+    if (capacityError) {
+      return res.status(400).json({ error: capacityError });
+    }
+
+    const enrollment = new Enrollment({
+      student,
+      class: schoolClass._id,
+      school_year: schoolClass.school_year,
+      start_date: date,
+    });
+    await enrollment.save();
+    await recordAudit(req, { entityType: 'enrollments', action: 'create', after: enrollment });
+    res.status(201).json(enrollment);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /classes/{id}/students/{studentId}/transfer:
+ *   post:
+ *     summary: Transfere o estudante para outra turma
+ *     description: Encerra a matrícula atual como "transferred" e abre outra na turma de destino.
+ *     tags: [Turmas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma atual
+ *       - in: path
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do estudante
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - to
+ *             properties:
+ *               to:
+ *                 type: string
+ *                 description: ID da turma de destino
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Nova matrícula
+ *       400:
+ *         description: Turma de destino inválida, de outro ano letivo ou completa
+ *       404:
+ *         description: Turma não encontrada ou estudante sem matrícula ativa nela
+ */
+router.post('/:id/students/:studentId/transfer', async (req, res) => {
+  const { to, date, reason } = req.body || {};
+
+  try {
+    const schoolClass = await findClass(req, res);
+    if (!schoolClass) return;
+
+    const target = mongoose.isValidObjectId(to) && (await SchoolClass.findById(to));
+    if (!target || target._id.equals(schoolClass._id)) {
+      return res.status(400).json({ error: 'Informe em "to" uma turma de destino diferente da atual.' });
+    }
+    if (target.school_year !== schoolClass.school_year) {
+      return res
+        .status(400)
+        .json({ error: 'A transferência deve ser para uma turma do mesmo ano letivo.' });
+    }
+    const capacityError = await checkCapacity(target);
+    if (capacityError) {
+      return res.status(400).json({ error: capacityError });
+    }
+
+    const closed = await closeEnrollment(req, res, 'transferred', {
+      end_reason: reason,
+      transferred_to: target._id,
+    });
+    if (!closed) return;
+
+    const enrollment = new Enrollment({
+      student: closed.student,
+      class: target._id,
+      school_year: target.school_year,
+      start_date: date,
+    });
+    await enrollment.save();
+    await recordAudit(req, { entityType: 'enrollments', action: 'create', after: enrollment });
+    res.status(201).json(enrollment);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /classes/{id}/students/{studentId}/withdraw:
+ *   post:
+ *     summary: Encerra a matrícula do estudante na turma
+ *     tags: [Turmas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da turma
+ *       - in: path
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do estudante
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [withdrawn, completed]
+ *                 default: withdrawn
+ *                 description: Desistência ou conclusão do ano letivo
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Matrícula encerrada
+ *       400:
+ *         description: Situação inválida
+ *       404:
+ *         description: Estudante sem matrícula ativa na turma
+ */
+router.post('/:id/students/:studentId/withdraw', async (req, res) => {
+  const { status = 'withdrawn', reason } = req.body || {};
+  if (!['withdrawn', 'completed'].includes(status)) {
+    return res.status(400).json({ error: 'Campo "status" deve ser withdrawn ou completed.' });
+  }
+
+  try {
+    const enrollment = await closeEnrollment(req, res, status, { end_reason: reason });
+    if (!enrollment) return;
+    res.status(200).json(enrollment);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,342 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { recordAudit } = require('../utils/audit');
+const { escapeRegex } = require('../utils/regex');
+const { conditionLookup } = require('../utils/conditions');
+
+// Categorias do público da educação especial
+const CONDITION_CATEGORIES = [
+  'intellectual', // deficiência intelectual
+  'physical', // deficiência física
+  'hearing', // deficiência auditiva / surdez
+  'visual', // deficiência visual / cegueira
+  'deafblind', // surdocegueira
+  'multiple', // deficiência múltipla
+  'autism', // transtorno do espectro autista
+  'giftedness', // altas habilidades / superdotação
+  'learning', // transtornos funcionais específicos (dislexia, TDAH...)
+  'other',
+];
+
+// Tipos de apoio que a condição costuma exigir
+const SUPPORT_TYPES = [
+  'aee', // atendimento educacional especializado
+  'caregiver', // profissional de apoio / cuidador
+  'libras_interpreter',
+  'braille',
+  'assistive_technology',
+  'accessibility', // adequações de acessibilidade física
+  'curriculum_adaptation',
+  'therapy',
+];
+
+// CID-10: letra, dois dígitos e subcategoria opcional (F84.0); CID-11: quatro caracteres (6A02.0)
+const CID10_FORMAT = /^[A-Z]\d{2}(\.\d{1,2})?$/;
+const CID11_FORMAT = /^[0-9][A-Z][0-9A-Z]{2}(\.[0-9A-Z]{1,2})?$/;
+
+// Definição do esquema do catálogo de condições
+const conditionSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, unique: true },
+    cid10: { type: String, uppercase: true, trim: true, match: [CID10_FORMAT, 'Código CID-10 inválido.'] },
+    cid11: { type: String, uppercase: true, trim: true, match: [CID11_FORMAT, 'Código CID-11 inválido.'] },
+    category: { type: String, enum: CONDITION_CATEGORIES, required: true },
+    support_types: [{ type: String, enum: SUPPORT_TYPES }],
+    description: String,
+    status: { type: String, default: 'on' },
+  },
+  { collection: 'conditions', timestamps: true }
+);
+conditionSchema.index({ category: 1 });
+const Condition = mongoose.model('Condition', conditionSchema);
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Condição:
+ *       type: object
+ *       required:
+ *         - name
+ *         - category
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID gerado automaticamente
+ *         name:
+ *           type: string
+ *           description: Nome da condição (único)
+ *         cid10:
+ *           type: string
+ *           description: Código CID-10 (ex. F84.0)
+ *         cid11:
+ *           type: string
+ *           description: Código CID-11 (ex. 6A02.0)
+ *         category:
+ *           type: string
+ *           enum: [intellectual, physical, hearing, visual, deafblind, multiple, autism, giftedness, learning, other]
+ *           description: Categoria do público da educação especial
+ *         support_types:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [aee, caregiver, libras_interpreter, braille, assistive_technology, accessibility, curriculum_adaptation, therapy]
+ *           description: Apoios normalmente necessários
+ *         description:
+ *           type: string
+ *           description: Observações sobre a condição
+ *         status:
+ *           type: string
+ *           description: Status no catálogo (on/off)
+ *       example:
+ *         name: "Síndrome de Down"
+ *         cid10: "Q90"
+ *         cid11: "LD40.0"
+ *         category: "intellectual"
+ *         support_types: ["aee", "curriculum_adaptation", "therapy"]
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Condições
+ *   description: Catálogo de condições (deficiências, transtornos e altas habilidades) com códigos CID
+ */
+
+/**
+ * @swagger
+ * /conditions:
+ *   get:
+ *     summary: Lista o catálogo de condições
+ *     tags: [Condições]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filtra pela categoria
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Parte do nome ou código CID
+ *     responses:
+ *       200:
+ *         description: Condições em ordem alfabética
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Condição'
+ */
+router.get('/', async (req, res) => {
+  const filter = {};
+  if (req.query.category) filter.category = req.query.category;
+  if (req.query.q) {
+    const pattern = { $regex: escapeRegex(req.query.q), $options: 'i' };
+    filter.$or = [{ name: pattern }, { cid10: pattern }, { cid11: pattern }];
+  }
+
+  try {
+    const conditions = await Condition.find(filter).sort({ name: 1 });
+    res.status(200).json(conditions);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /conditions/stats:
+ *   get:
+ *     summary: Quantidade de estudantes ativos por condição e por categoria
+ *     tags: [Condições]
+ *     responses:
+ *       200:
+ *         description: Contagens ({ conditions, categories })
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const [conditions, counts] = await Promise.all([
+      Condition.find().sort({ name: 1 }),
+      mongoose.model('Student').aggregate([
+        { $match: { status: { $ne: 'off' } } },
+        { $unwind: '$conditions' },
+        { $group: { _id: '$conditions.condition', students: { $addToSet: '$_id' } } },
+      ]),
+    ]);
+
+    const studentsByCondition = new Map(counts.map((c) => [c._id.toString(), c.students]));
+    const byCategory = new Map();
+    const byCondition = conditions.map((condition) => {
+      const students = studentsByCondition.get(condition._id.toString()) || [];
+      const category = byCategory.get(condition.category) || new Set();
+      students.forEach((id) => category.add(id.toString()));
+      byCategory.set(condition.category, category);
+      return {
+        id: condition._id,
+        name: condition.name,
+        cid10: condition.cid10,
+        category: condition.category,
+        students: students.length,
+      };
+    });
+
+    res.status(200).json({
+      conditions: byCondition,
+      // um estudante com duas condições da mesma categoria conta uma vez
+      categories: [...byCategory].map(([category, students]) => ({ category, students: students.size })),
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /conditions/{id}:
+ *   get:
+ *     summary: Retorna uma condição pelo ID ou código CID
+ *     tags: [Condições]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da condição ou código CID-10/CID-11
+ *     responses:
+ *       200:
+ *         description: Condição encontrada
+ *       404:
+ *         description: Condição não encontrada
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const condition = await Condition.findOne(conditionLookup(req.params.id));
+    if (!condition) {
+      return res.status(404).json({ error: 'Condição não encontrada' });
+    }
+    res.status(200).json(condition);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /conditions:
+ *   post:
+ *     summary: Inclui uma condição no catálogo
+ *     tags: [Condições]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Condição'
+ *     responses:
+ *       201:
+ *         description: Condição criada
+ *       400:
+ *         description: Dados inválidos ou nome repetido
+ */
+router.post('/', async (req, res) => {
+  try {
+    const newCondition = new Condition(req.body);
+    await newCondition.save();
+    await recordAudit(req, { entityType: 'conditions', action: 'create', after: newCondition });
+    res.status(201).json(newCondition);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /conditions/{id}:
+ *   put:
+ *     summary: Atualiza uma condição do catálogo
+ *     tags: [Condições]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da condição
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Condição'
+ *     responses:
+ *       200:
+ *         description: Condição atualizada
+ *       404:
+ *         description: Condição não encontrada
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const before = await Condition.findById(req.params.id);
+    const updatedCondition = await Condition.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true,
+    });
+    if (!updatedCondition) {
+      return res.status(404).json({ error: 'Condição não encontrada' });
+    }
+    await recordAudit(req, { entityType: 'conditions', action: 'update', before, after: updatedCondition });
+    res.status(200).json(updatedCondition);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /conditions/{id}:
+ *   delete:
+ *     summary: Remove uma condição sem estudantes vinculados
+ *     description: Condições em uso devem ser desativadas (status "off") em vez de removidas.
+ *     tags: [Condições]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da condição
+ *     responses:
+ *       204:
+ *         description: Condição removida
+ *       404:
+ *         description: Condição não encontrada
+ *       409:
+ *         description: Há estudantes vinculados à condição
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const linked = await mongoose.model('Student').countDocuments({ 'conditions.condition': req.params.id });
+    if (linked > 0) {
+      return res
+        .status(409)
+        .json({ error: `A condição está vinculada a ${linked} estudante(s); desative-a com status "off".` });
+    }
+
+    const deletedCondition = await Condition.findByIdAndDelete(req.params.id);
+    if (!deletedCondition) {
+      return res.status(404).json({ error: 'Condição não encontrada' });
+    }
+    await recordAudit(req, { entityType: 'conditions', action: 'delete', before: deletedCondition });
+    res.status(204).send();
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,370 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // recebe :eventId da rota pai
+const mongoose = require('mongoose');
+const { schoolTime } = require('../utils/dateRange');
+const { recordAudit } = require('../utils/audit');
+
+// Modelos das pessoas que podem ser convidadas pelo ID
+const PERSON_MODELS = {
+  student: { model: 'Student', label: 'Estudante', contact: (found) => found.phone_number },
+  teacher: { model: 'Teacher', label: 'Professor', contact: (found) => found.email },
+  guardian: { model: 'Guardian', label: 'Responsável', contact: (found) => found.main_contact },
+};
+
+const RSVP_RESPONSES = ['yes', 'no', 'maybe'];
+
+// Carrega o evento (modelo em routes/eventsRoutes.js)
+router.use(async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.eventId)) {
+    return res.status(400).json({ error: 'ID do evento inválido.' });
+  }
+
+  try {
+    const event = await mongoose.model('Event').findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'Evento não encontrado' });
+    }
+    req.event = event;
+    next();
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Monta o participante a partir do que foi informado; devolve { participant } ou { error }
+const buildParticipant = async (input) => {
+  const { kind, person, name, contact } = input || {};
+
+  // Responsável sem cadastro: somente nome e contato
+  if (kind === 'guardian' && !person) {
+    if (!name) return { error: 'Responsáveis sem "person" precisam de "name".' };
+    return { participant: { kind, name, contact } };
+  }
+
+  const config = PERSON_MODELS[kind];
+  if (!config) {
+    return { error: 'Campo "kind" deve ser student, teacher ou guardian.' };
+  }
+  if (!mongoose.isValidObjectId(person)) {
+    return { error: `${config.label}: campo "person" deve ser um ID válido.` };
+  }
+
+  const found = await mongoose.model(config.model).findById(person);
+  if (!found) {
+    return { error: `${config.label} informado em "person" não existe.` };
+  }
+  return { participant: { kind, person: found._id, name: found.name, contact: config.contact(found) } };
+};
+
+const isSameParticipant = (a, b) =>
+  a.kind === b.kind &&
+  (a.person ? Boolean(b.person) && a.person.equals(b.person) : a.name === b.name);
+
+// Localiza o participante pelo ID da rota
+const findParticipant = (req, res) => {
+  const participant = req.event.participants.id(req.params.participantId);
+  if (!participant) {
+    res.status(404).json({ error: 'Participante não encontrado' });
+  }
+  return participant;
+};
+
+const saveEvent = async (req, before) => {
+  await req.event.save();
+  await recordAudit(req, { entityType: 'events', action: 'update', before, after: req.event });
+};
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Participante:
+ *       type: object
+ *       required:
+ *         - kind
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID do participante no evento
+ *         kind:
+ *           type: string
+ *           enum: [student, teacher, guardian]
+ *           description: Tipo de convidado
+ *         person:
+ *           type: string
+ *           description: ID do estudante, professor ou responsável (opcional para responsáveis sem cadastro)
+ *         name:
+ *           type: string
+ *           description: Nome (obrigatório para responsáveis sem cadastro; copiado do cadastro nos demais)
+ *         contact:
+ *           type: string
+ *           description: Telefone ou e-mail
+ *         rsvp:
+ *           type: string
+ *           enum: [pending, yes, no, maybe]
+ *           readOnly: true
+ *           description: Resposta ao convite
+ *         rsvp_at:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         attended:
+ *           type: boolean
+ *           readOnly: true
+ *           description: Presença registrada no dia do evento
+ *         checked_in_at:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *       example:
+ *         kind: "student"
+ *         person: "6750b1f2c9a1e23d4f5a6b7c"
+ */
+
+/**
+ * @swagger
+ * /events/{eventId}/participants:
+ *   get:
+ *     summary: Lista os convidados do evento
+ *     tags: [Eventos]
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do evento
+ *       - in: query
+ *         name: rsvp
+ *         schema:
+ *           type: string
+ *           enum: [pending, yes, no, maybe]
+ *         description: Filtra pela resposta
+ *     responses:
+ *       200:
+ *         description: Convidados e contagens
+ *       404:
+ *         description: Evento não encontrado
+ */
+router.get('/', (req, res) => {
+  const participants = req.query.rsvp
+    ? req.event.participants.filter((participant) => participant.rsvp === req.query.rsvp)
+    : req.event.participants;
+  res.status(200).json({ participants, summary: req.event.summary });
+});
+
+/**
+ * @swagger
+ * /events/{eventId}/participants:
+ *   post:
+ *     summary: Convida estudantes, professores ou responsáveis
+ *     description: Aceita um participante ou uma lista; convidados repetidos são ignorados.
+ *     tags: [Eventos]
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do evento
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             oneOf:
+ *               - $ref: '#/components/schemas/Participante'
+ *               - type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Participante'
+ *     responses:
+ *       201:
+ *         description: Lista atualizada de convidados
+ *       400:
+ *         description: Convidado inválido ou inexistente
+ *       404:
+ *         description: Evento não encontrado
+ */
+router.post('/', async (req, res) => {
+  const inputs = Array.isArray(req.body) ? req.body : [req.body];
+
+  try {
+    const participants = [];
+    for (const input of inputs) {
+      const { participant, error } = await buildParticipant(input);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      participants.push(participant);
+    }
+
+    const before = req.event.toJSON();
+    for (const participant of participants) {
+      if (!req.event.participants.some((existing) => isSameParticipant(existing, participant))) {
+        req.event.participants.push(participant);
+      }
+    }
+    await saveEvent(req, before);
+    res.status(201).json({ participants: req.event.participants, summary: req.event.summary });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /events/{eventId}/participants/{participantId}/rsvp:
+ *   put:
+ *     summary: Registra a resposta do convidado
+ *     tags: [Eventos]
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do evento
+ *       - in: path
+ *         name: participantId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do participante
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - response
+ *             properties:
+ *               response:
+ *                 type: string
+ *                 enum: [yes, no, maybe]
+ *     responses:
+ *       200:
+ *         description: Resposta registrada
+ *       400:
+ *         description: Resposta inválida
+ *       404:
+ *         description: Evento ou participante não encontrado
+ */
+router.put('/:participantId/rsvp', async (req, res) => {
+  const { response } = req.body || {};
+  if (!RSVP_RESPONSES.includes(response)) {
+    return res.status(400).json({ error: 'Campo "response" deve ser yes, no ou maybe.' });
+  }
+
+  try {
+    const participant = findParticipant(req, res);
+    if (!participant) return;
+
+    const before = req.event.toJSON();
+    participant.rsvp = response;
+    participant.rsvp_at = new Date();
+    await saveEvent(req, before);
+    res.status(200).json(participant);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /events/{eventId}/participants/{participantId}/check-in:
+ *   post:
+ *     summary: Registra (ou desfaz) a presença do convidado no dia do evento
+ *     tags: [Eventos]
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do evento
+ *       - in: path
+ *         name: participantId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do participante
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               attended:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Presença registrada
+ *       400:
+ *         description: Fora do dia do evento
+ *       404:
+ *         description: Evento ou participante não encontrado
+ */
+router.post('/:participantId/check-in', async (req, res) => {
+  const attended = !(req.body && req.body.attended === false);
+
+  if (!req.event.date || !schoolTime(req.event.date).isSame(schoolTime(), 'day')) {
+    return res.status(400).json({ error: 'A presença só pode ser registrada no dia do evento.' });
+  }
+
+  try {
+    const participant = findParticipant(req, res);
+    if (!participant) return;
+
+    const before = req.event.toJSON();
+    participant.attended = attended;
+    participant.checked_in_at = attended ? new Date() : undefined;
+    await saveEvent(req, before);
+    res.status(200).json(participant);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /events/{eventId}/participants/{participantId}:
+ *   delete:
+ *     summary: Remove um convidado do evento
+ *     tags: [Eventos]
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do evento
+ *       - in: path
+ *         name: participantId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do participante
+ *     responses:
+ *       204:
+ *         description: Convidado removido
+ *       404:
+ *         description: Evento ou participante não encontrado
+ */
+router.delete('/:participantId', async (req, res) => {
+  try {
+    const participant = findParticipant(req, res);
+    if (!participant) return;
+
+    const before = req.event.toJSON();
+    participant.deleteOne();
+    await saveEvent(req, before);
+    res.status(204).send();
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
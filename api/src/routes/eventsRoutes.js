@@ -1,18 +1,50 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
+const { recordAudit } = require('../utils/audit');
+const { parseRange, rangeFilter } = require('../utils/dateRange');
+const { setPaginationHeaders } = require('../utils/pagination');
+const { parseListQuery, paginate } = require('../utils/listQuery');
 
 
 
+// Convidado do evento: estudante, professor ou responsável
+const participantSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['student', 'teacher', 'guardian'], required: true },
+  person: mongoose.Schema.Types.ObjectId, // ID em students, teachers ou guardians
+  name: { type: String, required: true },
+  contact: String,
+  rsvp: { type: String, enum: ['pending', 'yes', 'no', 'maybe'], default: 'pending' },
+  rsvp_at: Date,
+  attended: { type: Boolean, default: false },
+  checked_in_at: Date,
+});
+
 // Definição do esquema de eventos
 const eventSchema = new mongoose.Schema(
     {
       description: String,
       comment: String,
       date: Date,
+      participants: [participantSchema],
     },
-    { collection: 'events' }
+    { collection: 'events', timestamps: true }
   );
+
+  // Contagem de convidados, confirmados e presentes
+  eventSchema.virtual('summary').get(function () {
+    const participants = this.participants || [];
+    const count = (predicate) => participants.filter(predicate).length;
+    return {
+      invited: participants.length,
+      confirmed: count((p) => p.rsvp === 'yes'),
+      declined: count((p) => p.rsvp === 'no'),
+      maybe: count((p) => p.rsvp === 'maybe'),
+      pending: count((p) => p.rsvp === 'pending'),
+      attended: count((p) => p.attended),
+    };
+  });
+
   const Event = mongoose.model('Event', eventSchema);
 
 
@@ -40,6 +72,29 @@ const eventSchema = new mongoose.Schema(
  *           type: string
  *           format: date-time
  *           description: Data e hora do evento
+ *         participants:
+ *           type: array
+ *           readOnly: true
+ *           description: Convidados com resposta e presença (gerenciados em /events/{id}/participants)
+ *           items:
+ *             $ref: '#/components/schemas/Participante'
+ *         summary:
+ *           type: object
+ *           readOnly: true
+ *           description: Contagens de convidados, confirmados (rsvp yes) e presentes (somente em GET /events/{id})
+ *           properties:
+ *             invited:
+ *               type: integer
+ *             confirmed:
+ *               type: integer
+ *             declined:
+ *               type: integer
+ *             maybe:
+ *               type: integer
+ *             pending:
+ *               type: integer
+ *             attended:
+ *               type: integer
  *       example:
  *         description: "Evento Exemplo"
  *         comment: "Comentários sobre o evento"
@@ -59,40 +114,34 @@ const eventSchema = new mongoose.Schema(
  * @swagger
  * /events/search:
  *   get:
- *     summary: Busca eventos por data
+ *     summary: Busca eventos por data ou período
+ *     description: Informe um dos filtros de período; datas são interpretadas no fuso da escola.
  *     tags: [Eventos]
  *     parameters:
- *       - in: query
- *         name: date
- *         schema:
- *           type: string
- *           format: date
- *         required: true
- *         description: Data no formato YYYY-MM-DD
+ *       - $ref: '#/components/parameters/dateParam'
+ *       - $ref: '#/components/parameters/fromParam'
+ *       - $ref: '#/components/parameters/toParam'
+ *       - $ref: '#/components/parameters/weekParam'
+ *       - $ref: '#/components/parameters/monthParam'
  *     responses:
  *       200:
- *         description: Lista de eventos encontrados
+ *         description: Lista de eventos encontrados, em ordem de data
  *       400:
- *         description: Parâmetro "date" ausente ou inválido
+ *         description: Período ausente ou inválido
  *       404:
  *         description: Nenhum evento encontrado
  */
 router.get('/search', async (req, res) => {
-    const { date } = req.query;
+    const range = parseRange(req.query);
   
-    if (!date) {
+    if (range.error || !(range.start || range.end)) {
       return res.status(400).json({
-        error: 'Parâmetro "date" é obrigatório no formato YYYY-MM-DD.',
+        error: range.error || 'Informe o período com "date", "from"/"to", "week" ou "month".',
       });
     }
   
     try {
-      const events = await Event.find({
-        date: {
-          $gte: new Date(`${date}T00:00:00Z`),
-          $lt: new Date(`${date}T23:59:59Z`),
-        },
-      });
+      const events = await Event.find({ date: rangeFilter(range) }).sort({ date: 1 });
   
       if (events.length === 0) {
         return res.status(404).json({ error: 'Nenhum evento encontrado' });
@@ -109,21 +158,37 @@ router.get('/search', async (req, res) => {
  * @swagger
  * /events:
  *   get:
- *     summary: Retorna todos os eventos
+ *     summary: Lista os eventos com paginação, ordenação e filtros
  *     tags: [Eventos]
+ *     parameters:
+ *       - $ref: '#/components/parameters/pageParam'
+ *       - $ref: '#/components/parameters/limitParam'
+ *       - $ref: '#/components/parameters/sortParam'
+ *       - $ref: '#/components/parameters/filtersParam'
  *     responses:
  *       200:
- *         description: Lista de eventos
+ *         description: Página da lista de eventos (padrão em ordem de data)
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Eventos'
+ *       400:
+ *         description: Parâmetros de paginação, ordenação ou filtro inválidos
  */
 router.get('/', async (req, res) => {
+  const list = parseListQuery(Event, req.query, { defaultSort: { date: 1 } });
+  if (list.error) {
+    return res.status(400).json({ error: list.error });
+  }
+
   try {
-    const events = await Event.find();
+    const [events, total] = await Promise.all([
+      paginate(Event.find(list.filter), list),
+      Event.countDocuments(list.filter),
+    ]);
+    setPaginationHeaders(req, res, list, total);
     res.status(200).json(events);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -159,7 +224,7 @@ router.get('/:id', async (req, res) => {
     if (!event) {
       return res.status(404).json({ error: 'Evento não encontrado' });
     }
-    res.status(200).json(event);
+    res.status(200).json(event.toJSON({ virtuals: true }));
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
@@ -185,8 +250,10 @@ router.get('/:id', async (req, res) => {
  */
 router.post('/', async (req, res) => {
   try {
-    const newEvent = new Event(req.body);
+    const { participants, ...fields } = req.body; // convidados via /events/{id}/participants
+    const newEvent = new Event(fields);
     await newEvent.save();
+    await recordAudit(req, { entityType: 'events', action: 'create', after: newEvent });
     res.status(201).json(newEvent);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -220,12 +287,16 @@ router.post('/', async (req, res) => {
  */
 router.put('/:id', async (req, res) => {
   try {
-    const updatedEvent = await Event.findByIdAndUpdate(req.params.id, req.body, {
+    // Convidados, respostas e presenças só mudam pelas rotas de participantes
+    const { participants, ...changes } = req.body;
+    const before = await Event.findById(req.params.id);
+    const updatedEvent = await Event.findByIdAndUpdate(req.params.id, changes, {
       new: true,
     });
     if (!updatedEvent) {
       return res.status(404).json({ error: 'Evento não encontrado' });
     }
+    await recordAudit(req, { entityType: 'events', action: 'update', before, after: updatedEvent });
     res.status(200).json(updatedEvent);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -257,6 +328,7 @@ router.delete('/:id', async (req, res) => {
     if (!deletedEvent) {
       return res.status(404).json({ error: 'Evento não encontrado' });
     }
+    await recordAudit(req, { entityType: 'events', action: 'delete', before: deletedEvent });
     res.status(204).send();
   } catch (err) {
     res.status(400).json({ error: err.message });
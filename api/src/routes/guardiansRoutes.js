@@ -0,0 +1,351 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { recordAudit } = require('../utils/audit');
+const { escapeRegex } = require('../utils/regex');
+
+const EMAIL_FORMAT = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const phoneSchema = new mongoose.Schema(
+  {
+    number: { type: String, required: true, trim: true },
+    type: { type: String, enum: ['mobile', 'home', 'work'], default: 'mobile' },
+    whatsapp: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const emailSchema = new mongoose.Schema(
+  {
+    address: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      match: [EMAIL_FORMAT, 'E-mail inválido.'],
+    },
+    type: { type: String, enum: ['personal', 'work'], default: 'personal' },
+  },
+  { _id: false }
+);
+
+// Definição do esquema de responsáveis (o vínculo com cada estudante fica em Student.guardians)
+const guardianSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    document: String, // CPF ou RG
+    phones: [phoneSchema],
+    emails: [emailSchema],
+    address: String,
+    notes: String,
+    status: { type: String, default: 'on' },
+  },
+  { collection: 'guardians', timestamps: true }
+);
+
+// Primeiro telefone (ou e-mail) cadastrado, usado como contato principal
+guardianSchema.virtual('main_contact').get(function () {
+  const [phone] = this.phones || [];
+  const [email] = this.emails || [];
+  return (phone && phone.number) || (email && email.address) || null;
+});
+
+const Guardian = mongoose.model('Guardian', guardianSchema);
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Responsável:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID gerado automaticamente
+ *         name:
+ *           type: string
+ *           description: Nome do responsável
+ *         document:
+ *           type: string
+ *           description: CPF ou RG
+ *         phones:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - number
+ *             properties:
+ *               number:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [mobile, home, work]
+ *               whatsapp:
+ *                 type: boolean
+ *         emails:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - address
+ *             properties:
+ *               address:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [personal, work]
+ *         address:
+ *           type: string
+ *           description: Endereço
+ *         notes:
+ *           type: string
+ *           description: Observações
+ *         status:
+ *           type: string
+ *           description: Status do responsável (on/off)
+ *       example:
+ *         name: "Chilli Heeler"
+ *         phones:
+ *           - number: "48 9696 5858"
+ *             type: mobile
+ *             whatsapp: true
+ *         emails:
+ *           - address: "chilli@example.com"
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Responsáveis
+ *   description: Pais e responsáveis pelos estudantes (vínculos em /students/{studentId}/guardians)
+ */
+
+/**
+ * @swagger
+ * /guardians:
+ *   get:
+ *     summary: Lista os responsáveis
+ *     tags: [Responsáveis]
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Nome ou parte do nome
+ *     responses:
+ *       200:
+ *         description: Responsáveis em ordem alfabética
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Responsável'
+ */
+router.get('/', async (req, res) => {
+  const filter = {};
+  if (req.query.name) filter.name = { $regex: escapeRegex(req.query.name), $options: 'i' };
+
+  try {
+    const guardians = await Guardian.find(filter).sort({ name: 1 });
+    res.status(200).json(guardians);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /guardians/{id}:
+ *   get:
+ *     summary: Retorna um responsável pelo ID
+ *     tags: [Responsáveis]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do responsável
+ *     responses:
+ *       200:
+ *         description: Dados do responsável
+ *       404:
+ *         description: Responsável não encontrado
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const guardian = await Guardian.findById(req.params.id);
+    if (!guardian) {
+      return res.status(404).json({ error: 'Responsável não encontrado' });
+    }
+    res.status(200).json(guardian);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /guardians/{id}/students:
+ *   get:
+ *     summary: Lista os estudantes do responsável, com o tipo de vínculo
+ *     tags: [Responsáveis]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do responsável
+ *     responses:
+ *       200:
+ *         description: Estudantes vinculados ({ student, relationship, legal_guardian, emergency_contact })
+ *       404:
+ *         description: Responsável não encontrado
+ */
+router.get('/:id/students', async (req, res) => {
+  try {
+    const guardian = await Guardian.findById(req.params.id);
+    if (!guardian) {
+      return res.status(404).json({ error: 'Responsável não encontrado' });
+    }
+
+    // Modelo Student em routes/studentsRoutes.js
+    const students = await mongoose
+      .model('Student')
+      .find({ 'guardians.guardian': guardian._id })
+      .sort({ name: 1 });
+
+    res.status(200).json(
+      students.map((student) => {
+        const link = student.guardians.find((entry) => entry.guardian.equals(guardian._id));
+        return {
+          student: { id: student._id, name: student.name, status: student.status },
+          relationship: link.relationship,
+          legal_guardian: link.legal_guardian,
+          emergency_contact: link.emergency_contact,
+        };
+      })
+    );
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /guardians:
+ *   post:
+ *     summary: Cadastra um responsável
+ *     tags: [Responsáveis]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Responsável'
+ *     responses:
+ *       201:
+ *         description: Responsável criado
+ *       400:
+ *         description: Dados inválidos
+ */
+router.post('/', async (req, res) => {
+  try {
+    const newGuardian = new Guardian(req.body);
+    await newGuardian.save();
+    await recordAudit(req, { entityType: 'guardians', action: 'create', after: newGuardian });
+    res.status(201).json(newGuardian);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /guardians/{id}:
+ *   put:
+ *     summary: Atualiza os dados de um responsável
+ *     tags: [Responsáveis]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do responsável
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Responsável'
+ *     responses:
+ *       200:
+ *         description: Responsável atualizado
+ *       404:
+ *         description: Responsável não encontrado
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const before = await Guardian.findById(req.params.id);
+    const updatedGuardian = await Guardian.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true,
+    });
+    if (!updatedGuardian) {
+      return res.status(404).json({ error: 'Responsável não encontrado' });
+    }
+    await recordAudit(req, { entityType: 'guardians', action: 'update', before, after: updatedGuardian });
+    res.status(200).json(updatedGuardian);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /guardians/{id}:
+ *   delete:
+ *     summary: Remove um responsável sem estudantes vinculados
+ *     tags: [Responsáveis]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do responsável
+ *     responses:
+ *       204:
+ *         description: Responsável removido
+ *       404:
+ *         description: Responsável não encontrado
+ *       409:
+ *         description: Há estudantes vinculados ao responsável
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const linked = await mongoose.model('Student').countDocuments({ 'guardians.guardian': req.params.id });
+    if (linked > 0) {
+      return res
+        .status(409)
+        .json({ error: `O responsável está vinculado a ${linked} estudante(s); remova os vínculos antes.` });
+    }
+
+    const deletedGuardian = await Guardian.findByIdAndDelete(req.params.id);
+    if (!deletedGuardian) {
+      return res.status(404).json({ error: 'Responsável não encontrado' });
+    }
+    await recordAudit(req, { entityType: 'guardians', action: 'delete', before: deletedGuardian });
+    res.status(204).send();
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
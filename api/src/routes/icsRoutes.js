@@ -0,0 +1,226 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const { authenticate, authenticateFeedToken, hashToken } = require('../middleware/auth');
+const { uidFor, buildCalendar } = require('../utils/ical');
+const { DEFAULT_DURATION } = require('../utils/scheduling');
+const { EVENT_DURATION } = require('../utils/calendar');
+
+// Quanto do passado entra nas assinaturas
+const HISTORY_DAYS = 180;
+
+const APPOINTMENT_STATUS = {
+  scheduled: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  'no-show': 'CONFIRMED',
+  cancelled: 'CANCELLED',
+};
+
+const eventItem = (event) => ({
+  uid: uidFor('event', event._id),
+  start: event.date,
+  end: moment(event.date).add(EVENT_DURATION, 'minutes').toDate(),
+  summary: event.description,
+  description: event.comment,
+  updatedAt: event.updatedAt,
+});
+
+const appointmentItem = (appointment) => {
+  const student = appointment.student ? appointment.student.name : appointment.legacy_student;
+  const professional = appointment.professional
+    ? appointment.professional.name
+    : appointment.legacy_professional;
+
+  return {
+    uid: uidFor('appointment', appointment._id),
+    start: appointment.date,
+    end: moment(appointment.date).add(appointment.duration || DEFAULT_DURATION, 'minutes').toDate(),
+    summary: [appointment.specialty, student].filter(Boolean).join(' - '),
+    description: [professional && `Profissional: ${professional}`, appointment.comments]
+      .filter(Boolean)
+      .join('\n'),
+    status: APPOINTMENT_STATUS[appointment.status],
+    updatedAt: appointment.updatedAt,
+  };
+};
+
+const findAppointments = (filter) =>
+  mongoose
+    .model('Appointment')
+    .find({ ...filter, date: { $gte: moment().subtract(HISTORY_DAYS, 'days').toDate() } })
+    .populate('student', 'name')
+    .populate('professional', 'name')
+    .sort({ date: 1 });
+
+const sendCalendar = (res, name, items) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.status(200).send(buildCalendar(name, items));
+};
+
+// Responde o .ics de agendamentos de um estudante ou profissional
+const personFeed = (modelName, field, label) => async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'ID inválido.' });
+  }
+
+  try {
+    const person = await mongoose.model(modelName).findById(req.params.id);
+    if (!person) {
+      return res.status(404).json({ error: `${label} não encontrado` });
+    }
+
+    const appointments = await findAppointments({ [field]: person._id });
+    sendCalendar(res, `Agenda - ${person.name}`, appointments.map(appointmentItem));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Agendas (iCalendar)
+ *   description: Assinaturas .ics de eventos e agendamentos para aplicativos de agenda
+ */
+
+/**
+ * @swagger
+ * /ics/token:
+ *   post:
+ *     summary: Gera (ou troca) o token pessoal de assinatura das agendas
+ *     description: O token anterior deixa de funcionar. Guarde as URLs retornadas, o token não é exibido novamente.
+ *     tags: [Agendas (iCalendar)]
+ *     responses:
+ *       200:
+ *         description: Token e URLs de assinatura
+ */
+router.post('/token', authenticate, async (req, res) => {
+  try {
+    const token = uuidv4();
+    req.user.feed_token_hash = hashToken(token);
+    await req.user.save();
+
+    const base = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+    res.status(200).json({
+      token,
+      feeds: {
+        school: `${base}/school.ics?token=${token}`,
+        professional: `${base}/professionals/{id}.ics?token=${token}`,
+        student: `${base}/students/{id}.ics?token=${token}`,
+      },
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /ics/school.ics:
+ *   get:
+ *     summary: Agenda geral da escola (eventos e agendamentos)
+ *     tags: [Agendas (iCalendar)]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Token de assinatura (POST /ics/token)
+ *     responses:
+ *       200:
+ *         description: Arquivo iCalendar
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Token ausente ou inválido
+ */
+router.get('/school.ics', authenticateFeedToken, async (req, res) => {
+  try {
+    const events = await mongoose
+      .model('Event')
+      .find({ date: { $gte: moment().subtract(HISTORY_DAYS, 'days').toDate() } })
+      .sort({ date: 1 });
+    const appointments = await findAppointments({});
+
+    sendCalendar(res, 'Agenda da escola', [
+      ...events.map(eventItem),
+      ...appointments.map(appointmentItem),
+    ]);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /ics/professionals/{id}.ics:
+ *   get:
+ *     summary: Agenda de atendimentos de um profissional da saúde
+ *     tags: [Agendas (iCalendar)]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do profissional
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Token de assinatura (POST /ics/token)
+ *     responses:
+ *       200:
+ *         description: Arquivo iCalendar
+ *       401:
+ *         description: Token ausente ou inválido
+ *       404:
+ *         description: Profissional não encontrado
+ */
+router.get(
+  '/professionals/:id.ics',
+  authenticateFeedToken,
+  personFeed('Profissional', 'professional', 'Profissional')
+);
+
+/**
+ * @swagger
+ * /ics/students/{id}.ics:
+ *   get:
+ *     summary: Agenda de atendimentos de um estudante
+ *     tags: [Agendas (iCalendar)]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do estudante
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Token de assinatura (POST /ics/token)
+ *     responses:
+ *       200:
+ *         description: Arquivo iCalendar
+ *       401:
+ *         description: Token ausente ou inválido
+ *       404:
+ *         description: Estudante não encontrado
+ */
+router.get('/students/:id.ics', authenticateFeedToken, personFeed('Student', 'student', 'Estudante'));
+
+module.exports = router;
@@ -1,24 +1,143 @@
 const express = require('express');
 const router = express.Router();  
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
+
+const authRoutes = require('./authRoutes');
 
 const usersRoutes = require('./usersRoutes'); 
 const teachersRoute = require('./teachersRoutes');
+const teacherScheduleRoutes = require('./teacherScheduleRoutes');
 const studentsRoutes = require('./studentsRoutes');
+const studentGuardiansRoutes = require('./studentGuardiansRoutes');
+const studentDocumentsRoutes = require('./studentDocumentsRoutes');
+const guardiansRoutes = require('./guardiansRoutes');
 const profsaudeRoutes = require('./prof-saude');
+const conditionsRoutes = require('./conditionsRoutes');
+const specialtiesRoutes = require('./specialtiesRoutes');
+const classesRoutes = require('./classesRoutes');
+const attendanceRoutes = require('./attendanceRoutes');
 const eventsRoutes = require('./eventsRoutes');
+const eventParticipantsRoutes = require('./eventParticipantsRoutes');
 const appointmentsRoutes = require('./appointmentsRoutes');
+const appointmentSeriesRoutes = require('./appointmentSeriesRoutes');
+const sessionNotesRoutes = require('./sessionNotesRoutes');
+const auditRoutes = require('./auditRoutes');
+const icsRoutes = require('./icsRoutes');
+const remindersRoutes = require('./remindersRoutes');
+const waitlistRoutes = require('./waitlistRoutes');
+const calendarRoutes = require('./calendarRoutes');
+const peiRoutes = require('./peiRoutes');
 
 // swagger
 const swaggerUi = require('swagger-ui-express');
 const swaggerDocument = require('../swagger/swagger.json'); 
 
 
-router.use('/users', usersRoutes);       // rota de usuários
-router.use('/teachers', teachersRoute);  // rota de professores
-router.use('/students', studentsRoutes);
-router.use('/prof-saude', profsaudeRoutes);
-router.use('/events', eventsRoutes);
-router.use('/appointments', appointmentsRoutes);
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     dateParam:
+ *       in: query
+ *       name: date
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Dia inteiro no formato YYYY-MM-DD
+ *     fromParam:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *       description: Início do período (YYYY-MM-DD ou data e hora ISO 8601)
+ *     toParam:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *       description: Fim do período, inclusivo (YYYY-MM-DD ou data e hora ISO 8601)
+ *     weekParam:
+ *       in: query
+ *       name: week
+ *       schema:
+ *         type: string
+ *         example: 2024-W10
+ *       description: Semana ISO no formato YYYY-Www (segunda a domingo)
+ *     monthParam:
+ *       in: query
+ *       name: month
+ *       schema:
+ *         type: string
+ *         example: 2024-03
+ *       description: Mês no formato YYYY-MM
+ *     pageParam:
+ *       in: query
+ *       name: page
+ *       schema:
+ *         type: integer
+ *         default: 1
+ *       description: >
+ *         Página (o total de itens vem no cabeçalho X-Total-Count e os links das páginas no
+ *         cabeçalho Link). Sem "page" nem "limit", as listagens devolvem todos os registros.
+ *     limitParam:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         maximum: 100
+ *       description: Itens por página (20 quando só "page" é informado)
+ *     sortParam:
+ *       in: query
+ *       name: sort
+ *       schema:
+ *         type: string
+ *         example: -date,name
+ *       description: Campos da ordenação separados por vírgula ("-" na frente para ordem decrescente)
+ *     filtersParam:
+ *       in: query
+ *       name: filters
+ *       style: form
+ *       explode: true
+ *       schema:
+ *         type: object
+ *         additionalProperties:
+ *           type: string
+ *         example:
+ *           status: "on"
+ *       description: >
+ *         Filtros pelos campos do cadastro. Igualdade com campo=valor (repetido vira "um dos
+ *         valores"), intervalos com campo[gte]=, campo[lte]=, campo[gt]=, campo[lt]= ou
+ *         campo>=valor e campo<=valor, e também campo[ne]= e campo[in]=a,b. Em campos de data,
+ *         YYYY-MM-DD vale o dia inteiro no fuso da escola (date<=2024-06-07 inclui o dia 7).
+ */
+
+router.use('/auth', authRoutes);         // login, logout e refresh (público)
+
+// Demais rotas exigem token válido e perfil autorizado (ver middleware/permissions.js)
+router.use('/users', authenticate, authorize('users'), usersRoutes);       // rota de usuários
+router.use('/teachers/:teacherId/schedule', authenticate, authorize('teachers'), teacherScheduleRoutes);  // grade semanal
+router.use('/teachers', authenticate, authorize('teachers'), teachersRoute);  // rota de professores
+router.use('/students/:studentId/guardians', authenticate, authorize('students'), studentGuardiansRoutes);
+router.use('/students/:studentId/documents', authenticate, authorize('documents'), studentDocumentsRoutes);
+router.use('/students', authenticate, authorize('students'), studentsRoutes);
+router.use('/guardians', authenticate, authorize('guardians'), guardiansRoutes);  // pais e responsáveis
+router.use('/prof-saude', authenticate, authorize('prof-saude'), profsaudeRoutes);
+router.use('/classes', authenticate, authorize('classes'), classesRoutes);  // turmas e matrículas
+router.use('/attendance', authenticate, authorize('attendance'), attendanceRoutes);  // frequência diária
+router.use('/conditions', authenticate, authorize('conditions'), conditionsRoutes);  // catálogo de condições (CID)
+router.use('/specialties', authenticate, authorize('specialties'), specialtiesRoutes);  // catálogo de especialidades
+router.use('/events/:eventId/participants', authenticate, authorize('events'), eventParticipantsRoutes);
+router.use('/events', authenticate, authorize('events'), eventsRoutes);
+router.use('/appointments/series', authenticate, authorize('appointments'), appointmentSeriesRoutes); // antes de /appointments
+router.use('/appointments/:appointmentId/notes', authenticate, authorize('session-notes'), sessionNotesRoutes);
+router.use('/appointments', authenticate, authorize('appointments'), appointmentsRoutes);
+router.use('/pei', authenticate, authorize('pei'), peiRoutes);  // planos educacionais individualizados
+router.use('/calendar', authenticate, authorize('calendar'), calendarRoutes);  // eventos e agendamentos juntos
+router.use('/waitlist', authenticate, authorize('waitlist'), waitlistRoutes);
+router.use('/audit', authenticate, authorize('audit'), auditRoutes);  // trilha de auditoria
+router.use('/reminders', authenticate, authorize('reminders'), remindersRoutes);
+router.use('/ics', icsRoutes);  // assinaturas .ics (autenticação própria por rota)
 
 // rota da documentação swagger
 router.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
@@ -0,0 +1,757 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { recordAudit } = require('../utils/audit');
+const { validateReferences } = require('../utils/scheduling');
+const { schoolTime } = require('../utils/dateRange');
+
+const PEI_STATUSES = ['draft', 'active', 'closed'];
+const GOAL_STATUSES = ['not_started', 'in_progress', 'achieved', 'discontinued'];
+
+// Intervalo padrão entre revisões do plano (um semestre)
+const DEFAULT_REVIEW_MONTHS = 6;
+
+// Modelos dos responsáveis pelo plano
+const RESPONSIBLE_MODELS = {
+  teacher: { model: 'Teacher', label: 'Professor' },
+  professional: { model: 'Profissional', label: 'Profissional' },
+};
+
+// Registro periódico de evolução de uma meta
+const progressSchema = new mongoose.Schema({
+  date: { type: Date, default: Date.now },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'Users' },
+  note: { type: String, required: true },
+  status: { type: String, enum: GOAL_STATUSES }, // situação da meta após o registro
+});
+
+const goalSchema = new mongoose.Schema({
+  area: String, // ex.: comunicação, autonomia, coordenação motora
+  description: { type: String, required: true },
+  strategies: [String],
+  criteria: String, // critério para considerar a meta atingida
+  status: { type: String, enum: GOAL_STATUSES, default: 'not_started' },
+  progress: [progressSchema],
+});
+
+const responsibleSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: Object.keys(RESPONSIBLE_MODELS), required: true },
+    person: { type: mongoose.Schema.Types.ObjectId, required: true }, // ID em teachers ou prof-saude
+    role: String, // ex.: professor regente, fonoaudióloga
+  },
+  { _id: false }
+);
+
+// Ciclo de revisão concluído
+const reviewSchema = new mongoose.Schema({
+  date: { type: Date, default: Date.now },
+  reviewer: { type: mongoose.Schema.Types.ObjectId, ref: 'Users' },
+  summary: { type: String, required: true },
+  decisions: String,
+});
+
+// Definição do esquema do Plano Educacional Individualizado (PEI)
+const peiSchema = new mongoose.Schema(
+  {
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    start_date: { type: Date, required: true },
+    end_date: Date,
+    status: { type: String, enum: PEI_STATUSES, default: 'active' },
+    responsibles: [responsibleSchema],
+    goals: [goalSchema],
+    review_interval_months: { type: Number, min: 1, max: 12, default: DEFAULT_REVIEW_MONTHS },
+    next_review: Date,
+    reviews: [reviewSchema],
+  },
+  { collection: 'peis', timestamps: true }
+);
+peiSchema.index({ student: 1, status: 1 });
+peiSchema.index({ status: 1, next_review: 1 });
+
+// A próxima revisão fica um intervalo depois da última revisão (ou do início, sem revisões).
+// É recalculada quando o intervalo, o início ou as revisões mudam sem uma data informada.
+peiSchema.pre('validate', function () {
+  if (this.end_date && this.start_date && this.end_date < this.start_date) {
+    this.invalidate('end_date', 'O fim do plano deve ser posterior ao início.');
+  }
+
+  const lastReview = this.reviews.length ? this.reviews[this.reviews.length - 1].date : null;
+  const base = lastReview || this.start_date;
+  const scheduleChanged =
+    !this.isModified('next_review') &&
+    ['review_interval_months', 'start_date', 'reviews'].some((path) => this.isModified(path));
+  if (base && (!this.next_review || scheduleChanged)) {
+    this.next_review = schoolTime(base).add(this.review_interval_months, 'months').toDate();
+  }
+});
+
+const Pei = mongoose.model('Pei', peiSchema);
+
+// Campos que o usuário pode informar; metas e revisões têm rotas próprias
+const EDITABLE_FIELDS = [
+  'student',
+  'start_date',
+  'end_date',
+  'status',
+  'responsibles',
+  'review_interval_months',
+  'next_review',
+];
+const GOAL_FIELDS = ['area', 'description', 'strategies', 'criteria', 'status'];
+
+const pickFields = (source, fields) =>
+  fields.reduce(
+    (picked, field) => (source[field] === undefined ? picked : { ...picked, [field]: source[field] }),
+    {}
+  );
+
+// Confere se professores e profissionais responsáveis existem
+const validateResponsibles = async (responsibles) => {
+  if (responsibles === undefined) return null;
+  if (!Array.isArray(responsibles)) return 'Campo "responsibles" deve ser uma lista.';
+
+  for (const { kind, person } of responsibles) {
+    const config = RESPONSIBLE_MODELS[kind];
+    if (!config) return 'Responsáveis: campo "kind" deve ser teacher ou professional.';
+    if (!mongoose.isValidObjectId(person) || !(await mongoose.model(config.model).exists({ _id: person }))) {
+      return `${config.label} informado em "person" não existe.`;
+    }
+  }
+  return null;
+};
+
+// Um estudante tem no máximo um plano ativo
+const activePlanOf = (student, exclude) =>
+  Pei.findOne({ student, status: 'active', ...(exclude ? { _id: { $ne: exclude } } : {}) });
+
+// Valida as referências e a regra do plano ativo; devolve { status, error } ou null
+const validatePlan = async (fields, exclude) => {
+  const error =
+    (await validateReferences(pickFields(fields, ['student']))) ||
+    (await validateResponsibles(fields.responsibles));
+  if (error) return { status: 400, error };
+
+  if ((fields.status || 'active') === 'active') {
+    const current = fields.student && (await activePlanOf(fields.student, exclude));
+    if (current) {
+      return { status: 409, error: `O estudante já tem um PEI ativo (${current._id}).` };
+    }
+  }
+  return null;
+};
+
+const findPlan = async (req, res) => {
+  const pei = await Pei.findById(req.params.id);
+  if (!pei) {
+    res.status(404).json({ error: 'PEI não encontrado' });
+  }
+  return pei;
+};
+
+// Metas e registros de evolução só entram em planos ativos
+const inactivePlan = (pei, res) => {
+  if (pei.status === 'active') return false;
+  res.status(409).json({ error: `O plano não está ativo (situação "${pei.status}").` });
+  return true;
+};
+
+const findGoal = (pei, req, res) => {
+  const goal = pei.goals.id(req.params.goalId);
+  if (!goal) {
+    res.status(404).json({ error: 'Meta não encontrada' });
+  }
+  return goal;
+};
+
+const savePlan = async (req, pei, before) => {
+  await pei.save();
+  await recordAudit(req, { entityType: 'pei', action: 'update', before, after: pei });
+};
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Meta do PEI:
+ *       type: object
+ *       required:
+ *         - description
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID gerado automaticamente
+ *         area:
+ *           type: string
+ *           description: Área de desenvolvimento
+ *         description:
+ *           type: string
+ *           description: Meta a ser alcançada
+ *         strategies:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Estratégias e recursos usados
+ *         criteria:
+ *           type: string
+ *           description: Critério para considerar a meta atingida
+ *         status:
+ *           type: string
+ *           enum: [not_started, in_progress, achieved, discontinued]
+ *           default: not_started
+ *         progress:
+ *           type: array
+ *           readOnly: true
+ *           description: Registros de evolução (POST /pei/{id}/goals/{goalId}/progress)
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *               author:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *       example:
+ *         area: "Comunicação"
+ *         description: "Formular pedidos com frases de três palavras"
+ *         strategies: ["Pranchas de comunicação", "Rotina visual"]
+ *         criteria: "Em 4 de 5 oportunidades, sem apoio"
+ *     PEI:
+ *       type: object
+ *       required:
+ *         - student
+ *         - start_date
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID gerado automaticamente
+ *         student:
+ *           type: string
+ *           description: ID do estudante
+ *         start_date:
+ *           type: string
+ *           format: date
+ *           description: Início da vigência
+ *         end_date:
+ *           type: string
+ *           format: date
+ *           description: Fim previsto da vigência
+ *         status:
+ *           type: string
+ *           enum: [draft, active, closed]
+ *           default: active
+ *           description: Situação do plano (um plano ativo por estudante)
+ *         responsibles:
+ *           type: array
+ *           description: Professores e profissionais responsáveis
+ *           items:
+ *             type: object
+ *             properties:
+ *               kind:
+ *                 type: string
+ *                 enum: [teacher, professional]
+ *               person:
+ *                 type: string
+ *                 description: ID do professor ou do profissional
+ *               role:
+ *                 type: string
+ *         goals:
+ *           type: array
+ *           readOnly: true
+ *           description: Metas (gerenciadas em /pei/{id}/goals)
+ *           items:
+ *             $ref: '#/components/schemas/Meta do PEI'
+ *         review_interval_months:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 12
+ *           default: 6
+ *           description: Meses entre revisões
+ *         next_review:
+ *           type: string
+ *           format: date
+ *           description: Próxima revisão (por padrão, início mais o intervalo)
+ *         reviews:
+ *           type: array
+ *           readOnly: true
+ *           description: Revisões concluídas (POST /pei/{id}/reviews)
+ *       example:
+ *         student: "6750b1f2c9a1e23d4f5a6b7c"
+ *         start_date: "2024-02-19"
+ *         end_date: "2024-12-13"
+ *         responsibles:
+ *           - kind: teacher
+ *             person: "6750b1f2c9a1e23d4f5a6b7d"
+ *             role: "Professora regente"
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: PEI
+ *   description: Plano Educacional Individualizado dos estudantes da educação especial
+ */
+
+/**
+ * @swagger
+ * /pei:
+ *   get:
+ *     summary: Lista os planos
+ *     tags: [PEI]
+ *     parameters:
+ *       - in: query
+ *         name: student
+ *         schema:
+ *           type: string
+ *         description: Filtra pelo ID do estudante
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, active, closed]
+ *         description: Filtra pela situação
+ *     responses:
+ *       200:
+ *         description: Lista de planos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PEI'
+ */
+router.get('/', async (req, res) => {
+  const filter = {};
+  if (req.query.student) filter.student = req.query.student;
+  if (req.query.status) filter.status = req.query.status;
+
+  try {
+    const plans = await Pei.find(filter).sort({ start_date: -1 });
+    res.status(200).json(plans);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /pei/overdue:
+ *   get:
+ *     summary: Planos ativos com revisão atrasada
+ *     tags: [PEI]
+ *     parameters:
+ *       - in: query
+ *         name: within
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Inclui também as revisões que vencem nos próximos N dias
+ *     responses:
+ *       200:
+ *         description: Planos em ordem de vencimento, com os dias de atraso (negativo = a vencer)
+ */
+router.get('/overdue', async (req, res) => {
+  const within = Number(req.query.within) || 0;
+  const today = schoolTime().startOf('day');
+  const limit = today.clone().add(within, 'days');
+
+  try {
+    const plans = await Pei.find({ status: 'active', next_review: { $lt: limit.toDate() } })
+      .populate('student', 'name')
+      .sort({ next_review: 1 });
+
+    res.status(200).json(
+      plans.map((pei) => ({
+        id: pei._id,
+        student: pei.student,
+        next_review: pei.next_review,
+        last_review: pei.reviews.length ? pei.reviews[pei.reviews.length - 1].date : null,
+        days_overdue: today.diff(schoolTime(pei.next_review).startOf('day'), 'days'),
+        responsibles: pei.responsibles,
+      }))
+    );
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /pei/{id}:
+ *   get:
+ *     summary: Retorna um plano
+ *     tags: [PEI]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do plano
+ *     responses:
+ *       200:
+ *         description: Plano encontrado
+ *       404:
+ *         description: Plano não encontrado
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const pei = await findPlan(req, res);
+    if (!pei) return;
+    res.status(200).json(pei);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /pei:
+ *   post:
+ *     summary: Cria o plano de um estudante
+ *     description: Metas podem ser enviadas já na criação, em "goals".
+ *     tags: [PEI]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PEI'
+ *     responses:
+ *       201:
+ *         description: Plano criado
+ *       400:
+ *         description: Dados inválidos ou referências inexistentes
+ *       409:
+ *         description: O estudante já tem um plano ativo
+ */
+router.post('/', async (req, res) => {
+  const body = req.body || {};
+
+  try {
+    const fields = pickFields(body, EDITABLE_FIELDS);
+    const invalid = await validatePlan(fields);
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
+    }
+
+    const goals = Array.isArray(body.goals) ? body.goals.map((goal) => pickFields(goal, GOAL_FIELDS)) : [];
+    const pei = new Pei({ ...fields, goals });
+    await pei.save();
+    await recordAudit(req, { entityType: 'pei', action: 'create', after: pei });
+    res.status(201).json(pei);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /pei/{id}:
+ *   put:
+ *     summary: Atualiza vigência, situação, responsáveis ou agenda de revisão
+ *     description: >
+ *       Sem "next_review", a próxima revisão é recalculada quando "review_interval_months"
+ *       ou "start_date" mudam, a partir da última revisão (ou do início do plano).
+ *     tags: [PEI]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do plano
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PEI'
+ *     responses:
+ *       200:
+ *         description: Plano atualizado
+ *       404:
+ *         description: Plano não encontrado
+ *       409:
+ *         description: O estudante já tem outro plano ativo
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const pei = await findPlan(req, res);
+    if (!pei) return;
+
+    const fields = pickFields(req.body || {}, EDITABLE_FIELDS);
+    const invalid = await validatePlan(
+      { ...fields, student: fields.student || pei.student, status: fields.status || pei.status },
+      pei._id
+    );
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
+    }
+
+    const before = pei.toJSON();
+    pei.set(fields);
+    await savePlan(req, pei, before);
+    res.status(200).json(pei);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /pei/{id}/goals:
+ *   post:
+ *     summary: Inclui uma meta no plano
+ *     tags: [PEI]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do plano
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Meta do PEI'
+ *     responses:
+ *       201:
+ *         description: Plano com a nova meta
+ *       404:
+ *         description: Plano não encontrado
+ *       409:
+ *         description: O plano não está ativo
+ */
+router.post('/:id/goals', async (req, res) => {
+  try {
+    const pei = await findPlan(req, res);
+    if (!pei || inactivePlan(pei, res)) return;
+
+    const before = pei.toJSON();
+    pei.goals.push(pickFields(req.body || {}, GOAL_FIELDS));
+    await savePlan(req, pei, before);
+    res.status(201).json(pei);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /pei/{id}/goals/{goalId}:
+ *   put:
+ *     summary: Atualiza uma meta (os registros de evolução são mantidos)
+ *     tags: [PEI]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do plano
+ *       - in: path
+ *         name: goalId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da meta
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Meta do PEI'
+ *     responses:
+ *       200:
+ *         description: Plano com a meta atualizada
+ *       404:
+ *         description: Plano ou meta não encontrados
+ */
+router.put('/:id/goals/:goalId', async (req, res) => {
+  try {
+    const pei = await findPlan(req, res);
+    if (!pei) return;
+    const goal = findGoal(pei, req, res);
+    if (!goal) return;
+
+    const before = pei.toJSON();
+    goal.set(pickFields(req.body || {}, GOAL_FIELDS));
+    await savePlan(req, pei, before);
+    res.status(200).json(pei);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /pei/{id}/goals/{goalId}/progress:
+ *   post:
+ *     summary: Registra a evolução de uma meta
+ *     description: Se "status" for informado, a situação da meta passa a ser essa.
+ *     tags: [PEI]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do plano
+ *       - in: path
+ *         name: goalId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da meta
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *               note:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [not_started, in_progress, achieved, discontinued]
+ *     responses:
+ *       201:
+ *         description: Meta com o novo registro
+ *       400:
+ *         description: Registro inválido
+ *       404:
+ *         description: Plano ou meta não encontrados
+ *       409:
+ *         description: O plano não está ativo
+ */
+router.post('/:id/goals/:goalId/progress', async (req, res) => {
+  const { date, note, status } = req.body || {};
+
+  try {
+    const pei = await findPlan(req, res);
+    if (!pei || inactivePlan(pei, res)) return;
+    const goal = findGoal(pei, req, res);
+    if (!goal) return;
+
+    const before = pei.toJSON();
+    goal.progress.push({ date, note, status, author: req.user._id });
+    if (status) goal.status = status;
+    await savePlan(req, pei, before);
+    res.status(201).json(goal);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /pei/{id}/reviews:
+ *   post:
+ *     summary: Registra a revisão do plano e agenda a próxima
+ *     description: >
+ *       Sem "next_review", a próxima revisão fica "review_interval_months" meses depois
+ *       da data desta revisão.
+ *     tags: [PEI]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do plano
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - summary
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               summary:
+ *                 type: string
+ *               decisions:
+ *                 type: string
+ *               next_review:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Plano com a revisão registrada
+ *       400:
+ *         description: Revisão inválida ou plano encerrado
+ *       404:
+ *         description: Plano não encontrado
+ */
+router.post('/:id/reviews', async (req, res) => {
+  const { date, summary, decisions, next_review } = req.body || {};
+
+  try {
+    const pei = await findPlan(req, res);
+    if (!pei) return;
+    if (pei.status === 'closed') {
+      return res.status(400).json({ error: 'O plano está encerrado.' });
+    }
+
+    const before = pei.toJSON();
+    pei.reviews.push({ date, summary, decisions, reviewer: req.user._id });
+    const review = pei.reviews[pei.reviews.length - 1];
+    pei.next_review =
+      next_review || schoolTime(review.date).add(pei.review_interval_months, 'months').toDate();
+    await savePlan(req, pei, before);
+    res.status(201).json(pei);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /pei/{id}:
+ *   delete:
+ *     summary: Remove um plano
+ *     tags: [PEI]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do plano
+ *     responses:
+ *       204:
+ *         description: Plano removido
+ *       404:
+ *         description: Plano não encontrado
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deletedPlan = await Pei.findByIdAndDelete(req.params.id);
+    if (!deletedPlan) {
+      return res.status(404).json({ error: 'PEI não encontrado' });
+    }
+    await recordAudit(req, { entityType: 'pei', action: 'delete', before: deletedPlan });
+    res.status(204).send();
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
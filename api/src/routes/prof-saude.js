@@ -1,22 +1,129 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
+const { parseSchoolDate, schoolTime } = require('../utils/dateRange');
+const { recordAudit } = require('../utils/audit');
+const { DEFAULT_DURATION } = require('../utils/scheduling');
+const {
+  TIME_FORMAT,
+  MIN_SLOT_DURATION,
+  MAX_SLOT_DURATION,
+  isValidSlotDuration,
+  computeFreeSlots,
+} = require('../utils/availability');
+const { activeStatusFilter } = require('../utils/appointmentStatus');
+const { setPaginationHeaders } = require('../utils/pagination');
+const { parseListQuery, paginate } = require('../utils/listQuery');
+const {
+  COUNCILS,
+  STATES,
+  REGISTRATION_NUMBER_FORMAT,
+  specialtyLookup,
+  resolveSpecialties,
+} = require('../utils/specialties');
+
+const timeField = {
+  type: String,
+  match: [TIME_FORMAT, 'Horário deve estar no formato HH:mm'],
+};
+
+// Janela semanal de atendimento (ex.: segunda das 08:00 às 12:00)
+const availabilitySchema = new mongoose.Schema(
+  {
+    weekday: { type: Number, min: 0, max: 6, required: true }, // 0 = domingo
+    start: { ...timeField, required: true },
+    end: { ...timeField, required: true },
+  },
+  { _id: false }
+);
+
+// Exceção em uma data: folga (dia inteiro ou intervalo) ou janela extra de atendimento
+const availabilityExceptionSchema = new mongoose.Schema(
+  {
+    date: { type: String, match: [/^\d{4}-\d{2}-\d{2}$/, 'Data deve estar no formato YYYY-MM-DD'], required: true },
+    available: { type: Boolean, default: false },
+    start: timeField,
+    end: timeField,
+    reason: String,
+  },
+  { _id: false }
+);
+
+// Registro no conselho profissional (ex.: CREFITO 12345-F/SC)
+const credentialSchema = new mongoose.Schema(
+  {
+    council: { type: String, enum: COUNCILS, required: true },
+    number: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [REGISTRATION_NUMBER_FORMAT, 'Número de registro inválido (ex.: 12345, 12345-F ou 06/12345).'],
+      required: true,
+    },
+    state: { type: String, uppercase: true, trim: true, enum: STATES, required: true },
+    expires_at: Date, // sem data = sem vencimento
+  },
+  { _id: false }
+);
+
+// Garante que o início de cada janela seja anterior ao fim
+const checkInterval = function () {
+  if ((this.start && !this.end) || (!this.start && this.end)) {
+    this.invalidate('end', 'Informe "start" e "end" juntos.');
+  } else if (this.start && this.end && this.start >= this.end) {
+    this.invalidate('end', 'O horário final deve ser posterior ao inicial.');
+  }
+};
+availabilitySchema.pre('validate', checkInterval);
+availabilityExceptionSchema.pre('validate', checkInterval);
+availabilityExceptionSchema.pre('validate', function () {
+  if (this.available && !this.start) {
+    this.invalidate('start', 'Janelas extras precisam de "start" e "end".');
+  }
+});
 
 // Definição do esquema de profissionais da saúde
 const profissionalSchema = new mongoose.Schema(
   {
     name: { type: String, required: true },
-    specialty: { type: String, required: true },
+    specialty: String, // nome da especialidade principal (a primeira de "specialties"), para exibição
+    specialties: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Specialty' }],
+    credentials: [credentialSchema],
     contact: { type: String, required: true },
     phone_number: { type: String, required: true },
     status: { type: String, required: true },
+    availability: [availabilitySchema],
+    availability_exceptions: [availabilityExceptionSchema],
   },
   { collection: 'prof-saude' } // Certifique-se de que esta coleção realmente existe no MongoDB
 );
 
+profissionalSchema.index({ specialties: 1 });
+
+// Período máximo consultado na busca de horários livres
+const MAX_SLOT_RANGE_DAYS = 31;
+
+// Antecedência padrão do relatório de registros a vencer
+const CREDENTIAL_WARNING_DAYS = 30;
+
 // Modelo do Mongoose
 const Profissional = mongoose.model('Profissional', profissionalSchema);
 
+// Troca as especialidades informadas em "specialties" (ou o texto de "specialty", como nos
+// cadastros antigos) pelos IDs do catálogo e preenche a especialidade principal.
+// Devolve a mensagem de erro ou null.
+const applySpecialties = async (fields, { required }) => {
+  let values = fields.specialties;
+  if (values === undefined && fields.specialty !== undefined) values = [fields.specialty];
+  if (values === undefined && !required) return null;
+
+  const { specialties, error } = await resolveSpecialties(values);
+  if (error) return error;
+  fields.specialties = specialties.map((specialty) => specialty._id);
+  fields.specialty = specialties[0].name;
+  return null;
+};
+
 
 /**
  * @swagger
@@ -26,7 +133,7 @@ const Profissional = mongoose.model('Profissional', profissionalSchema);
  *       type: object
  *       required:
  *         - name
- *         - specialty
+ *         - specialties
  *         - contact
  *         - phone_number
  *         - status
@@ -39,7 +146,32 @@ const Profissional = mongoose.model('Profissional', profissionalSchema);
  *           description: Nome do profissional
  *         specialty:
  *           type: string
- *           description: Especialidade do profissional
+ *           readOnly: true
+ *           description: Nome da especialidade principal (a primeira de specialties)
+ *         specialties:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Especialidades do catálogo (ID, nome ou sinônimo; a primeira é a principal)
+ *         credentials:
+ *           type: array
+ *           description: Registros nos conselhos profissionais
+ *           items:
+ *             type: object
+ *             properties:
+ *               council:
+ *                 type: string
+ *                 enum: [CRP, CREFITO, CRFa, CRM, CRN, COREN, CRESS, CREF, CRO]
+ *               number:
+ *                 type: string
+ *                 description: Número do registro (ex. 12345, 12345-F ou 06/12345)
+ *               state:
+ *                 type: string
+ *                 description: UF do registro
+ *               expires_at:
+ *                 type: string
+ *                 format: date
+ *                 description: Validade (sem data não vence)
  *         contact:
  *           type: string
  *           description: Email de contato do profissional
@@ -49,12 +181,64 @@ const Profissional = mongoose.model('Profissional', profissionalSchema);
  *         status:
  *           type: string
  *           description: Status (on/off)
+ *         availability:
+ *           type: array
+ *           description: Janelas semanais de atendimento
+ *           items:
+ *             type: object
+ *             properties:
+ *               weekday:
+ *                 type: integer
+ *                 description: Dia da semana (0 = domingo, 6 = sábado)
+ *               start:
+ *                 type: string
+ *                 description: Início no formato HH:mm
+ *               end:
+ *                 type: string
+ *                 description: Fim no formato HH:mm
+ *         availability_exceptions:
+ *           type: array
+ *           description: Folgas ou janelas extras em datas específicas
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Data no formato YYYY-MM-DD
+ *               available:
+ *                 type: boolean
+ *                 description: true para janela extra, false para folga (padrão)
+ *               start:
+ *                 type: string
+ *                 description: Início no formato HH:mm (sem horário = dia inteiro)
+ *               end:
+ *                 type: string
+ *                 description: Fim no formato HH:mm
+ *               reason:
+ *                 type: string
+ *                 description: Motivo
  *       example:
  *         name: "Larissa Mendes"
- *         specialty: "Nutricionista"
+ *         specialties: ["Nutrição"]
+ *         credentials:
+ *           - council: "CRN"
+ *             number: "12345"
+ *             state: "SC"
+ *             expires_at: "2026-12-31"
  *         contact: "lm.nutri@gmail.com"
  *         phone_number: "48 9999 1234"
  *         status: "on"
+ *         availability:
+ *           - weekday: 1
+ *             start: "08:00"
+ *             end: "12:00"
+ *           - weekday: 3
+ *             start: "13:30"
+ *             end: "17:30"
+ *         availability_exceptions:
+ *           - date: "2024-04-15"
+ *             reason: "Congresso"
  */
 
 /**
@@ -112,30 +296,188 @@ router.get('/search', async (req, res) => {
   });
   
 
+/**
+ * @swagger
+ * /prof-saude/slots:
+ *   get:
+ *     summary: Busca horários livres dos profissionais ativos de uma especialidade
+ *     tags: [Profissionais da Saúde]
+ *     parameters:
+ *       - in: query
+ *         name: specialty
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Especialidade do catálogo (ID, nome ou sinônimo)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: Data inicial no formato YYYY-MM-DD
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: true
+ *         description: Data final (inclusiva) no formato YYYY-MM-DD, até 31 dias após "from"
+ *       - in: query
+ *         name: duration
+ *         schema:
+ *           type: integer
+ *           default: 60
+ *           minimum: 5
+ *           maximum: 480
+ *         description: Duração desejada em minutos inteiros (de 5 a 480)
+ *     responses:
+ *       200:
+ *         description: Horários livres ordenados por início
+ *       400:
+ *         description: Parâmetros ausentes ou inválidos
+ */
+router.get('/slots', async (req, res) => {
+  const { specialty, from, to } = req.query;
+  const duration = req.query.duration ? Number(req.query.duration) : DEFAULT_DURATION;
+
+  if (!specialty) {
+    return res.status(400).json({ error: 'Parâmetro "specialty" é obrigatório.' });
+  }
+  if (!parseSchoolDate(from) || !parseSchoolDate(to)) {
+    return res
+      .status(400)
+      .json({ error: 'Parâmetros "from" e "to" são obrigatórios no formato YYYY-MM-DD.' });
+  }
+  if (!isValidSlotDuration(duration)) {
+    return res.status(400).json({
+      error: `Parâmetro "duration" deve ser um número inteiro de minutos entre ${MIN_SLOT_DURATION} e ${MAX_SLOT_DURATION}.`,
+    });
+  }
+
+  const start = parseSchoolDate(from).startOf('day');
+  const end = parseSchoolDate(to).endOf('day');
+  if (end.isBefore(start) || end.diff(start, 'days') >= MAX_SLOT_RANGE_DAYS) {
+    return res
+      .status(400)
+      .json({ error: `O período deve ter entre 1 e ${MAX_SLOT_RANGE_DAYS} dias.` });
+  }
+
+  try {
+    const found = await mongoose.model('Specialty').findOne(specialtyLookup(specialty));
+    if (!found) {
+      return res.status(400).json({ error: `Especialidade "${specialty}" não existe no catálogo.` });
+    }
+    const profissionais = await Profissional.find({ specialties: found._id, status: 'on' });
+
+    // Agendamentos que podem ocupar o período (modelo em routes/appointmentsRoutes.js)
+    const appointments = await mongoose.model('Appointment').find({
+      ...activeStatusFilter,
+      professional: { $in: profissionais.map((p) => p._id) },
+      date: { $gte: start.clone().subtract(1, 'day').toDate(), $lte: end.toDate() },
+    });
+
+    const slots = [];
+    for (const profissional of profissionais) {
+      const own = appointments.filter((a) => a.professional.equals(profissional._id));
+      for (const slot of computeFreeSlots(profissional, own, start, end, duration)) {
+        slots.push({
+          ...slot,
+          professional: { id: profissional._id, name: profissional.name, specialty: profissional.specialty },
+        });
+      }
+    }
+
+    slots.sort((a, b) => a.start - b.start);
+    res.status(200).json(slots);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /prof-saude/credentials/expiring:
+ *   get:
+ *     summary: Registros nos conselhos vencidos ou a vencer
+ *     tags: [Profissionais da Saúde]
+ *     parameters:
+ *       - in: query
+ *         name: within
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Inclui os registros que vencem nos próximos N dias
+ *     responses:
+ *       200:
+ *         description: Registros em ordem de vencimento, com os dias restantes (negativo = vencido)
+ */
+router.get('/credentials/expiring', async (req, res) => {
+  const within = req.query.within === undefined ? CREDENTIAL_WARNING_DAYS : Number(req.query.within) || 0;
+  const today = schoolTime().startOf('day');
+  const limit = today.clone().add(within, 'days').endOf('day').toDate();
+
+  try {
+    const profissionais = await Profissional.find({ 'credentials.expires_at': { $lte: limit } });
+    const expiring = profissionais.flatMap((profissional) =>
+      profissional.credentials
+        .filter((credential) => credential.expires_at && credential.expires_at <= limit)
+        .map((credential) => ({
+          professional: { id: profissional._id, name: profissional.name, status: profissional.status },
+          council: credential.council,
+          number: credential.number,
+          state: credential.state,
+          expires_at: credential.expires_at,
+          days_left: schoolTime(credential.expires_at).startOf('day').diff(today, 'days'),
+        }))
+    );
+
+    res.status(200).json(expiring.sort((a, b) => a.expires_at - b.expires_at));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /prof-saude:
  *   get:
- *     summary: Retorna todos os profissionais de saúde
+ *     summary: Lista os profissionais de saúde com paginação, ordenação e filtros
  *     tags: [Profissionais da Saúde]
+ *     parameters:
+ *       - $ref: '#/components/parameters/pageParam'
+ *       - $ref: '#/components/parameters/limitParam'
+ *       - $ref: '#/components/parameters/sortParam'
+ *       - $ref: '#/components/parameters/filtersParam'
  *     responses:
  *       200:
- *         description: Lista de profissionais
+ *         description: Página da lista de profissionais (padrão em ordem de nome)
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Profissionais da Saúde'
+ *       400:
+ *         description: Parâmetros de paginação, ordenação ou filtro inválidos
  */
 router.get('/', async (req, res) => {
-    try {
-      const profissionais = await Profissional.find();
-      res.status(200).json(profissionais);
-    } catch (err) {
-      res.status(500).json({ error: err.message });
-    }
-  });
+  const list = parseListQuery(Profissional, req.query, { defaultSort: { name: 1 } });
+  if (list.error) {
+    return res.status(400).json({ error: list.error });
+  }
+
+  try {
+    const [profissionais, total] = await Promise.all([
+      paginate(Profissional.find(list.filter), list),
+      Profissional.countDocuments(list.filter),
+    ]);
+    setPaginationHeaders(req, res, list, total);
+    res.status(200).json(profissionais);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
 
 /**
  * @swagger
@@ -192,8 +534,15 @@ router.get('/:id', async (req, res) => {
 router.post('/', async (req, res) => {
     try {
       console.log('Recebendo requisição:', req.body); // Log para verificar o corpo da requisição
-      const newProfissional = new Profissional(req.body);
+      const fields = { ...req.body };
+      const specialtyError = await applySpecialties(fields, { required: true });
+      if (specialtyError) {
+        return res.status(400).json({ error: specialtyError });
+      }
+
+      const newProfissional = new Profissional(fields);
       await newProfissional.save();
+      await recordAudit(req, { entityType: 'prof-saude', action: 'create', after: newProfissional });
       console.log('Profissional salvo:', newProfissional); // Log após salvar
       res.status(201).json(newProfissional);
     } catch (err) {
@@ -230,14 +579,22 @@ router.post('/', async (req, res) => {
  */
 router.put('/:id', async (req, res) => {
   try {
+    const fields = { ...req.body };
+    const specialtyError = await applySpecialties(fields, { required: false });
+    if (specialtyError) {
+      return res.status(400).json({ error: specialtyError });
+    }
+
+    const before = await Profissional.findById(req.params.id);
     const updatedProfissional = await Profissional.findByIdAndUpdate(
       req.params.id,
-      req.body,
-      { new: true }
+      fields,
+      { new: true, runValidators: true }
     );
     if (!updatedProfissional) {
       return res.status(404).json({ error: 'Profissional não encontrado' });
     }
+    await recordAudit(req, { entityType: 'prof-saude', action: 'update', before, after: updatedProfissional });
     res.status(200).json(updatedProfissional);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -271,6 +628,7 @@ router.delete('/:id', async (req, res) => {
     if (!deletedProfissional) {
       return res.status(404).json({ error: 'Profissional não encontrado' });
     }
+    await recordAudit(req, { entityType: 'prof-saude', action: 'delete', before: deletedProfissional });
     res.status(204).send();
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { recordAudit } = require('../utils/audit');
+
+const REMINDER_STATUSES = ['pending', 'sent', 'failed', 'cancelled'];
+
+// Definição do esquema de lembretes (criados e enviados por notifications/scheduler.js)
+const reminderSchema = new mongoose.Schema(
+  {
+    appointment: { type: mongoose.Schema.Types.ObjectId, ref: 'Appointment', required: true },
+    appointment_date: { type: Date, required: true }, // data do agendamento quando o lembrete foi criado
+    channel: { type: String, required: true },
+    recipient: { type: String, required: true },
+    send_at: Date,
+    next_attempt_at: Date,
+    status: { type: String, enum: REMINDER_STATUSES, default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    last_error: String,
+    sent_at: Date,
+  },
+  { collection: 'reminders', timestamps: true }
+);
+reminderSchema.index({ appointment: 1, channel: 1, recipient: 1, appointment_date: 1 }, { unique: true });
+reminderSchema.index({ status: 1, next_attempt_at: 1 });
+const Reminder = mongoose.model('Reminder', reminderSchema);
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Lembrete:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID gerado automaticamente
+ *         appointment:
+ *           type: string
+ *           description: ID do agendamento
+ *         channel:
+ *           type: string
+ *           description: Canal de envio (email, sms, console)
+ *         recipient:
+ *           type: string
+ *           description: E-mail ou telefone do destinatário
+ *         send_at:
+ *           type: string
+ *           format: date-time
+ *           description: Horário previsto de envio
+ *         status:
+ *           type: string
+ *           enum: [pending, sent, failed, cancelled]
+ *           description: Situação da entrega
+ *         attempts:
+ *           type: integer
+ *           description: Tentativas de envio
+ *         last_error:
+ *           type: string
+ *           description: Último erro do canal
+ *         sent_at:
+ *           type: string
+ *           format: date-time
+ *           description: Horário do envio
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Lembretes
+ *   description: Situação dos lembretes de agendamentos
+ */
+
+/**
+ * @swagger
+ * /reminders:
+ *   get:
+ *     summary: Lista os lembretes
+ *     tags: [Lembretes]
+ *     parameters:
+ *       - in: query
+ *         name: appointment
+ *         schema:
+ *           type: string
+ *         description: Filtra pelo ID do agendamento
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sent, failed, cancelled]
+ *         description: Filtra pela situação
+ *     responses:
+ *       200:
+ *         description: Lista de lembretes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Lembrete'
+ */
+router.get('/', async (req, res) => {
+  const filter = {};
+  if (req.query.appointment) filter.appointment = req.query.appointment;
+  if (req.query.status) filter.status = req.query.status;
+
+  try {
+    const reminders = await Reminder.find(filter).sort({ send_at: -1 });
+    res.status(200).json(reminders);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /reminders/{id}/retry:
+ *   post:
+ *     summary: Recoloca um lembrete com falha na fila de envio
+ *     tags: [Lembretes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do lembrete
+ *     responses:
+ *       200:
+ *         description: Lembrete pendente novamente
+ *       400:
+ *         description: Lembrete não está com falha
+ *       404:
+ *         description: Lembrete não encontrado
+ */
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const reminder = await Reminder.findById(req.params.id);
+    if (!reminder) {
+      return res.status(404).json({ error: 'Lembrete não encontrado' });
+    }
+    if (reminder.status !== 'failed') {
+      return res.status(400).json({ error: 'Somente lembretes com falha podem ser reenviados.' });
+    }
+
+    const before = reminder.toJSON();
+    reminder.status = 'pending';
+    reminder.attempts = 0;
+    reminder.next_attempt_at = new Date();
+    await reminder.save();
+    await recordAudit(req, { entityType: 'reminders', action: 'update', before, after: reminder });
+    res.status(200).json(reminder);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,338 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // recebe :appointmentId da rota pai
+const mongoose = require('mongoose');
+const { recordAudit } = require('../utils/audit');
+const { ROLES } = require('../middleware/permissions');
+
+// Definição do esquema de notas de sessão (somente inclusão: cada edição é uma nova versão)
+const sessionNoteSchema = new mongoose.Schema(
+  {
+    appointment: { type: mongoose.Schema.Types.ObjectId, ref: 'Appointment', required: true },
+    note_id: { type: mongoose.Schema.Types.ObjectId, required: true }, // igual em todas as versões
+    version: { type: Number, min: 1, required: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'Users', required: true },
+    body: { type: String, required: true },
+    objectives_worked: [String],
+    observed_behavior: String,
+    next_steps: String,
+    created_at: { type: Date, default: Date.now },
+  },
+  { collection: 'session-notes' }
+);
+sessionNoteSchema.index({ note_id: 1, version: 1 }, { unique: true });
+sessionNoteSchema.index({ appointment: 1 });
+
+// Impede alterações e remoções de versões já gravadas
+const appendOnly = function () {
+  throw new Error('Notas de sessão não podem ser alteradas nem removidas.');
+};
+sessionNoteSchema.pre('save', function () {
+  if (!this.isNew) appendOnly();
+});
+sessionNoteSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  appendOnly
+);
+
+const SessionNote = mongoose.model('SessionNote', sessionNoteSchema);
+
+const NOTE_FIELDS = ['body', 'objectives_worked', 'observed_behavior', 'next_steps'];
+
+// A auditoria guarda apenas os metadados da versão; o conteúdo clínico fica só nas notas
+const auditMetadata = (note) =>
+  note && {
+    _id: note._id,
+    note_id: note.note_id,
+    appointment: note.appointment,
+    author: note.author,
+    version: note.version,
+  };
+
+const pickFields = (source) =>
+  NOTE_FIELDS.reduce(
+    (fields, field) => (source[field] === undefined ? fields : { ...fields, [field]: source[field] }),
+    {}
+  );
+
+// Carrega o agendamento e restringe o profissional às notas dos próprios atendimentos
+router.use(async (req, res, next) => {
+  const { appointmentId } = req.params;
+  if (!mongoose.isValidObjectId(appointmentId)) {
+    return res.status(400).json({ error: 'ID do agendamento inválido.' });
+  }
+
+  try {
+    const appointment = await mongoose.model('Appointment').findById(appointmentId);
+    if (!appointment) {
+      return res.status(404).json({ error: 'Agendamento não encontrado' });
+    }
+
+    if (
+      req.user.level === ROLES.PROF_SAUDE &&
+      !(
+        req.user.profissional &&
+        appointment.professional &&
+        appointment.professional.equals(req.user.profissional)
+      )
+    ) {
+      return res
+        .status(403)
+        .json({ error: 'Acesso negado: somente o profissional do atendimento pode acessar estas notas.' });
+    }
+
+    req.appointment = appointment;
+    next();
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Nota de sessão:
+ *       type: object
+ *       required:
+ *         - body
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID da versão
+ *         note_id:
+ *           type: string
+ *           readOnly: true
+ *           description: ID da nota (igual em todas as versões)
+ *         version:
+ *           type: integer
+ *           readOnly: true
+ *           description: Número da versão
+ *         author:
+ *           type: string
+ *           readOnly: true
+ *           description: ID do usuário que escreveu a versão
+ *         body:
+ *           type: string
+ *           description: Relato da sessão
+ *         objectives_worked:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Objetivos trabalhados
+ *         observed_behavior:
+ *           type: string
+ *           description: Comportamento observado
+ *         next_steps:
+ *           type: string
+ *           description: Encaminhamentos para as próximas sessões
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *       example:
+ *         body: "Sessão com boa participação nas atividades propostas."
+ *         objectives_worked: ["Equilíbrio", "Coordenação motora fina"]
+ *         observed_behavior: "Atento, pediu pausa após 30 minutos."
+ *         next_steps: "Introduzir circuito com obstáculos."
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notas de sessão
+ *   description: Registro clínico dos atendimentos (somente profissional do atendimento e coordenação)
+ */
+
+/**
+ * @swagger
+ * /appointments/{appointmentId}/notes:
+ *   get:
+ *     summary: Lista as notas do atendimento (versão mais recente de cada uma)
+ *     tags: [Notas de sessão]
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do agendamento
+ *     responses:
+ *       200:
+ *         description: Notas do atendimento
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Nota de sessão'
+ *       403:
+ *         description: Usuário sem acesso às notas deste atendimento
+ *       404:
+ *         description: Agendamento não encontrado
+ */
+router.get('/', async (req, res) => {
+  try {
+    const versions = await SessionNote.find({ appointment: req.appointment._id }).sort({ version: -1 });
+
+    // Mantém somente a versão mais recente de cada nota
+    const latest = new Map();
+    for (const note of versions) {
+      const key = note.note_id.toString();
+      if (!latest.has(key)) latest.set(key, note);
+    }
+
+    const notes = [...latest.values()].sort((a, b) => a.created_at - b.created_at);
+    res.status(200).json(notes);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /appointments/{appointmentId}/notes/{noteId}:
+ *   get:
+ *     summary: Retorna todas as versões de uma nota
+ *     tags: [Notas de sessão]
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do agendamento
+ *       - in: path
+ *         name: noteId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da nota (note_id)
+ *     responses:
+ *       200:
+ *         description: Versões da nota, da primeira para a mais recente
+ *       404:
+ *         description: Nota não encontrada
+ */
+router.get('/:noteId', async (req, res) => {
+  try {
+    const versions = await SessionNote.find({
+      appointment: req.appointment._id,
+      note_id: req.params.noteId,
+    }).sort({ version: 1 });
+
+    if (versions.length === 0) {
+      return res.status(404).json({ error: 'Nota não encontrada' });
+    }
+    res.status(200).json(versions);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /appointments/{appointmentId}/notes:
+ *   post:
+ *     summary: Registra uma nova nota de sessão
+ *     tags: [Notas de sessão]
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do agendamento
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Nota de sessão'
+ *     responses:
+ *       201:
+ *         description: Nota criada (versão 1)
+ *       400:
+ *         description: Dados inválidos
+ */
+router.post('/', async (req, res) => {
+  try {
+    const note = new SessionNote({
+      ...pickFields(req.body || {}),
+      appointment: req.appointment._id,
+      note_id: new mongoose.Types.ObjectId(),
+      version: 1,
+      author: req.user._id,
+    });
+    await note.save();
+    await recordAudit(req, { entityType: 'session-notes', action: 'create', after: auditMetadata(note) });
+    res.status(201).json(note);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /appointments/{appointmentId}/notes/{noteId}:
+ *   put:
+ *     summary: Edita uma nota gerando uma nova versão (as anteriores são mantidas)
+ *     tags: [Notas de sessão]
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do agendamento
+ *       - in: path
+ *         name: noteId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da nota (note_id)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Nota de sessão'
+ *     responses:
+ *       201:
+ *         description: Nova versão criada
+ *       404:
+ *         description: Nota não encontrada
+ */
+router.put('/:noteId', async (req, res) => {
+  try {
+    const latest = await SessionNote.findOne({
+      appointment: req.appointment._id,
+      note_id: req.params.noteId,
+    }).sort({ version: -1 });
+
+    if (!latest) {
+      return res.status(404).json({ error: 'Nota não encontrada' });
+    }
+
+    const note = new SessionNote({
+      ...pickFields(latest),
+      ...pickFields(req.body || {}),
+      appointment: latest.appointment,
+      note_id: latest.note_id,
+      version: latest.version + 1,
+      author: req.user._id,
+    });
+    await note.save();
+    await recordAudit(req, {
+      entityType: 'session-notes',
+      action: 'create',
+      before: auditMetadata(latest),
+      after: auditMetadata(note),
+    });
+    res.status(201).json(note);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
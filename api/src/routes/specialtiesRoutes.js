@@ -0,0 +1,322 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { recordAudit } = require('../utils/audit');
+const { escapeRegex } = require('../utils/regex');
+const { COUNCILS, specialtyKey, specialtyLookup } = require('../utils/specialties');
+
+// Definição do esquema do catálogo de especialidades
+const specialtySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true }, // ex.: "Fisioterapia"
+    aliases: [{ type: String, trim: true }], // outras grafias aceitas (ex.: "Fisioterapeuta")
+    council: { type: String, enum: COUNCILS }, // conselho que registra o profissional
+    description: String,
+    status: { type: String, default: 'on' },
+    // Chaves sem acentos e em minúsculas usadas nas buscas; calculadas a partir de name e aliases
+    key: { type: String, unique: true },
+    alias_keys: [String],
+  },
+  { collection: 'specialties', timestamps: true }
+);
+specialtySchema.index({ alias_keys: 1 });
+
+specialtySchema.pre('validate', function () {
+  this.key = specialtyKey(this.name || '');
+  this.alias_keys = [...new Set((this.aliases || []).map(specialtyKey))].filter((key) => key !== this.key);
+});
+
+// Chaves de busca não saem na API
+specialtySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.key;
+    delete ret.alias_keys;
+    return ret;
+  },
+});
+
+const Specialty = mongoose.model('Specialty', specialtySchema);
+
+const SPECIALTY_FIELDS = ['name', 'aliases', 'council', 'description', 'status'];
+
+const pickFields = (source) =>
+  SPECIALTY_FIELDS.reduce(
+    (fields, field) => (source[field] === undefined ? fields : { ...fields, [field]: source[field] }),
+    {}
+  );
+
+// Nome ou sinônimo já usado por outra especialidade; devolve a mensagem de erro ou null
+const duplicateError = async (specialty) => {
+  const keys = [specialty.key, ...specialty.alias_keys];
+  const other = await Specialty.findOne({
+    _id: { $ne: specialty._id },
+    $or: [{ key: { $in: keys } }, { alias_keys: { $in: keys } }],
+  });
+  return other ? `Nome ou sinônimo já usado pela especialidade "${other.name}".` : null;
+};
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Especialidade:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID gerado automaticamente
+ *         name:
+ *           type: string
+ *           description: Nome da especialidade (único, sem diferenciar acentos e maiúsculas)
+ *         aliases:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Outras grafias aceitas nas buscas e nos cadastros
+ *         council:
+ *           type: string
+ *           enum: [CRP, CREFITO, CRFa, CRM, CRN, COREN, CRESS, CREF, CRO]
+ *           description: Conselho profissional que registra quem atende a especialidade
+ *         description:
+ *           type: string
+ *         status:
+ *           type: string
+ *           description: Status no catálogo (on/off)
+ *       example:
+ *         name: "Fisioterapia"
+ *         aliases: ["Fisioterapeuta"]
+ *         council: "CREFITO"
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Especialidades
+ *   description: Catálogo de especialidades dos profissionais da saúde
+ */
+
+/**
+ * @swagger
+ * /specialties:
+ *   get:
+ *     summary: Lista o catálogo de especialidades
+ *     tags: [Especialidades]
+ *     parameters:
+ *       - in: query
+ *         name: council
+ *         schema:
+ *           type: string
+ *         description: Filtra pelo conselho
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Parte do nome ou de um sinônimo
+ *     responses:
+ *       200:
+ *         description: Especialidades em ordem alfabética
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Especialidade'
+ */
+router.get('/', async (req, res) => {
+  const filter = {};
+  if (req.query.council) filter.council = req.query.council;
+  if (req.query.q) {
+    const pattern = { $regex: escapeRegex(specialtyKey(req.query.q)) };
+    filter.$or = [{ key: pattern }, { alias_keys: pattern }];
+  }
+
+  try {
+    const specialties = await Specialty.find(filter).sort({ key: 1 });
+    res.status(200).json(specialties);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /specialties/{id}:
+ *   get:
+ *     summary: Retorna uma especialidade pelo ID, nome ou sinônimo
+ *     tags: [Especialidades]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID, nome ou sinônimo da especialidade
+ *     responses:
+ *       200:
+ *         description: Especialidade encontrada
+ *       404:
+ *         description: Especialidade não encontrada
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const specialty = await Specialty.findOne(specialtyLookup(req.params.id));
+    if (!specialty) {
+      return res.status(404).json({ error: 'Especialidade não encontrada' });
+    }
+    res.status(200).json(specialty);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /specialties:
+ *   post:
+ *     summary: Inclui uma especialidade no catálogo
+ *     tags: [Especialidades]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Especialidade'
+ *     responses:
+ *       201:
+ *         description: Especialidade criada
+ *       400:
+ *         description: Dados inválidos
+ *       409:
+ *         description: Nome ou sinônimo já usado por outra especialidade
+ */
+router.post('/', async (req, res) => {
+  try {
+    const newSpecialty = new Specialty(pickFields(req.body));
+    await newSpecialty.validate();
+
+    const duplicate = await duplicateError(newSpecialty);
+    if (duplicate) {
+      return res.status(409).json({ error: duplicate });
+    }
+
+    await newSpecialty.save();
+    await recordAudit(req, { entityType: 'specialties', action: 'create', after: newSpecialty });
+    res.status(201).json(newSpecialty);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /specialties/{id}:
+ *   put:
+ *     summary: Atualiza uma especialidade do catálogo
+ *     description: >
+ *       Ao renomear, o nome anterior passa a ser um sinônimo e o novo nome é gravado nos
+ *       profissionais, agendamentos, séries e entradas da lista de espera da especialidade.
+ *     tags: [Especialidades]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da especialidade
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Especialidade'
+ *     responses:
+ *       200:
+ *         description: Especialidade atualizada
+ *       404:
+ *         description: Especialidade não encontrada
+ *       409:
+ *         description: Nome ou sinônimo já usado por outra especialidade
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const specialty = mongoose.isValidObjectId(req.params.id) && (await Specialty.findById(req.params.id));
+    if (!specialty) {
+      return res.status(404).json({ error: 'Especialidade não encontrada' });
+    }
+
+    const before = specialty.toJSON();
+    specialty.set(pickFields(req.body));
+    const renamed = specialty.isModified('name') && specialtyKey(specialty.name) !== specialtyKey(before.name);
+    if (renamed) specialty.aliases.push(before.name);
+    await specialty.validate();
+
+    const duplicate = await duplicateError(specialty);
+    if (duplicate) {
+      return res.status(409).json({ error: duplicate });
+    }
+
+    await specialty.save();
+    if (renamed) {
+      // Especialidade principal exibida no cadastro dos profissionais (routes/prof-saude.js)
+      await mongoose
+        .model('Profissional')
+        .updateMany({ 'specialties.0': specialty._id }, { $set: { specialty: specialty.name } });
+      // Lista de espera, agendamentos e séries guardam o nome do catálogo; sem isso, quem
+      // aguarda com o nome antigo deixaria de receber as vagas liberadas (utils/waitlist.js)
+      for (const model of ['WaitlistEntry', 'Appointment', 'AppointmentSeries']) {
+        await mongoose.model(model).updateMany({ specialty: before.name }, { $set: { specialty: specialty.name } });
+      }
+    }
+    await recordAudit(req, { entityType: 'specialties', action: 'update', before, after: specialty });
+    res.status(200).json(specialty);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /specialties/{id}:
+ *   delete:
+ *     summary: Remove uma especialidade sem profissionais vinculados
+ *     description: Especialidades em uso devem ser desativadas (status "off") em vez de removidas.
+ *     tags: [Especialidades]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da especialidade
+ *     responses:
+ *       204:
+ *         description: Especialidade removida
+ *       404:
+ *         description: Especialidade não encontrada
+ *       409:
+ *         description: Há profissionais vinculados à especialidade
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const linked = await mongoose.model('Profissional').countDocuments({ specialties: req.params.id });
+    if (linked > 0) {
+      return res
+        .status(409)
+        .json({ error: `A especialidade está vinculada a ${linked} profissional(is); desative-a com status "off".` });
+    }
+
+    const deletedSpecialty = await Specialty.findByIdAndDelete(req.params.id);
+    if (!deletedSpecialty) {
+      return res.status(404).json({ error: 'Especialidade não encontrada' });
+    }
+    await recordAudit(req, { entityType: 'specialties', action: 'delete', before: deletedSpecialty });
+    res.status(204).send();
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
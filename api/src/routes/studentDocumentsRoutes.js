@@ -0,0 +1,429 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // recebe :studentId da rota pai
+const mongoose = require('mongoose');
+const { recordAudit } = require('../utils/audit');
+const { uploadFile } = require('../middleware/upload');
+const { getStorage } = require('../storage');
+
+const DOCUMENT_TYPES = [
+  'diagnostic_report', // laudo
+  'medical_report', // relatório médico
+  'therapy_report', // relatório de terapia / atendimento
+  'prescription',
+  'school_report',
+  'consent', // termo de consentimento / autorização
+  'other',
+];
+
+// Definição do esquema dos documentos; o conteúdo fica no armazenamento (storage/)
+const documentSchema = new mongoose.Schema(
+  {
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    appointment: { type: mongoose.Schema.Types.ObjectId, ref: 'Appointment' },
+    type: { type: String, enum: DOCUMENT_TYPES, required: true },
+    title: { type: String, required: true },
+    description: String,
+    issuer: String, // profissional ou instituição que emitiu
+    issued_at: Date,
+    filename: { type: String, required: true },
+    content_type: { type: String, required: true },
+    size: { type: Number, required: true },
+    storage: { type: String, required: true },
+    storage_key: { type: String, required: true },
+    uploaded_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Users' },
+  },
+  { collection: 'documents', timestamps: true }
+);
+documentSchema.index({ student: 1, type: 1 });
+
+// Dados internos do armazenamento não saem na API
+documentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.storage_key;
+    return ret;
+  },
+});
+
+const StudentDocument = mongoose.model('StudentDocument', documentSchema);
+
+// Carrega o estudante (modelo em routes/studentsRoutes.js)
+router.use(async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.studentId)) {
+    return res.status(400).json({ error: 'ID do estudante inválido.' });
+  }
+
+  try {
+    const student = await mongoose.model('Student').findById(req.params.studentId);
+    if (!student) {
+      return res.status(404).json({ error: 'Estudante não encontrado!' });
+    }
+    req.student = student;
+    next();
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+const findDocument = async (req, res) => {
+  const document =
+    mongoose.isValidObjectId(req.params.documentId) &&
+    (await StudentDocument.findOne({ _id: req.params.documentId, student: req.student._id }));
+  if (!document) {
+    res.status(404).json({ error: 'Documento não encontrado' });
+  }
+  return document;
+};
+
+// O agendamento informado precisa ser do próprio estudante
+const validateAppointment = async (appointment, student) => {
+  if (!appointment) return null;
+  const found =
+    mongoose.isValidObjectId(appointment) &&
+    (await mongoose.model('Appointment').exists({ _id: appointment, student: student._id }));
+  return found ? null : 'Agendamento informado em "appointment" não pertence ao estudante.';
+};
+
+// Nome do arquivo no cabeçalho Content-Disposition, com acentos (RFC 5987)
+const contentDisposition = (filename, inline) => {
+  const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/"/g, "'");
+  return `${inline ? 'inline' : 'attachment'}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Documento:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID gerado automaticamente
+ *         student:
+ *           type: string
+ *           description: ID do estudante
+ *         appointment:
+ *           type: string
+ *           description: ID do agendamento relacionado (opcional)
+ *         type:
+ *           type: string
+ *           enum: [diagnostic_report, medical_report, therapy_report, prescription, school_report, consent, other]
+ *           description: Tipo do documento
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         issuer:
+ *           type: string
+ *           description: Profissional ou instituição que emitiu
+ *         issued_at:
+ *           type: string
+ *           format: date
+ *           description: Data de emissão
+ *         filename:
+ *           type: string
+ *           readOnly: true
+ *         content_type:
+ *           type: string
+ *           readOnly: true
+ *         size:
+ *           type: integer
+ *           readOnly: true
+ *           description: Tamanho em bytes
+ *         uploaded_by:
+ *           type: string
+ *           readOnly: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Documentos
+ *   description: Laudos, relatórios e outros arquivos dos estudantes
+ */
+
+/**
+ * @swagger
+ * /students/{studentId}/documents:
+ *   get:
+ *     summary: Lista os documentos do estudante
+ *     tags: [Documentos]
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do estudante
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Filtra pelo tipo
+ *       - in: query
+ *         name: appointment
+ *         schema:
+ *           type: string
+ *         description: Filtra pelo agendamento
+ *     responses:
+ *       200:
+ *         description: Documentos do mais recente para o mais antigo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Documento'
+ *       404:
+ *         description: Estudante não encontrado
+ */
+router.get('/', async (req, res) => {
+  const filter = { student: req.student._id };
+  if (req.query.type) filter.type = req.query.type;
+  if (req.query.appointment) filter.appointment = req.query.appointment;
+
+  try {
+    const documents = await StudentDocument.find(filter).sort({ createdAt: -1 });
+    res.status(200).json(documents);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /students/{studentId}/documents:
+ *   post:
+ *     summary: Envia um documento do estudante
+ *     description: Aceita PDF, PNG ou JPEG até DOCUMENT_MAX_SIZE_MB (padrão 10 MB).
+ *     tags: [Documentos]
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do estudante
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - type
+ *               - title
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               type:
+ *                 type: string
+ *                 enum: [diagnostic_report, medical_report, therapy_report, prescription, school_report, consent, other]
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               issuer:
+ *                 type: string
+ *               issued_at:
+ *                 type: string
+ *                 format: date
+ *               appointment:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Documento criado
+ *       400:
+ *         description: Dados inválidos ou arquivo ausente
+ *       404:
+ *         description: Estudante não encontrado
+ *       413:
+ *         description: Arquivo maior que o permitido
+ *       415:
+ *         description: Tipo de arquivo não permitido
+ */
+router.post('/', uploadFile, async (req, res) => {
+  const { type, title, description, issuer, issued_at, appointment } = req.body;
+
+  try {
+    const appointmentError = await validateAppointment(appointment, req.student);
+    if (appointmentError) {
+      return res.status(400).json({ error: appointmentError });
+    }
+
+    const document = new StudentDocument({
+      student: req.student._id,
+      appointment: appointment || undefined,
+      type,
+      title,
+      description,
+      issuer,
+      issued_at: issued_at || undefined,
+      filename: req.file.originalname,
+      content_type: req.file.mimetype,
+      size: req.file.size,
+      uploaded_by: req.user._id,
+    });
+
+    // Valida os metadados antes de gravar o arquivo
+    const storage = getStorage();
+    document.storage = storage.name;
+    document.storage_key = 'pending';
+    await document.validate();
+
+    document.storage_key = await storage.save({
+      buffer: req.file.buffer,
+      filename: req.file.originalname,
+      contentType: req.file.mimetype,
+    });
+    try {
+      await document.save();
+    } catch (err) {
+      await storage.remove(document.storage_key);
+      throw err;
+    }
+
+    await recordAudit(req, { entityType: 'documents', action: 'create', after: document });
+    res.status(201).json(document);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /students/{studentId}/documents/{documentId}:
+ *   get:
+ *     summary: Retorna os dados de um documento
+ *     tags: [Documentos]
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do estudante
+ *       - in: path
+ *         name: documentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do documento
+ *     responses:
+ *       200:
+ *         description: Dados do documento
+ *       404:
+ *         description: Documento não encontrado
+ */
+router.get('/:documentId', async (req, res) => {
+  try {
+    const document = await findDocument(req, res);
+    if (!document) return;
+    res.status(200).json(document);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /students/{studentId}/documents/{documentId}/download:
+ *   get:
+ *     summary: Baixa o arquivo do documento
+ *     tags: [Documentos]
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do estudante
+ *       - in: path
+ *         name: documentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do documento
+ *       - in: query
+ *         name: inline
+ *         schema:
+ *           type: boolean
+ *         description: Exibe no navegador em vez de baixar
+ *     responses:
+ *       200:
+ *         description: Conteúdo do arquivo
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Documento ou arquivo não encontrado
+ */
+router.get('/:documentId/download', async (req, res) => {
+  try {
+    const document = await findDocument(req, res);
+    if (!document) return;
+
+    const stream = getStorage(document.storage).open(document.storage_key);
+    stream.once('error', (err) => {
+      if (res.headersSent) return res.destroy(err);
+      res.status(404).json({ error: 'Arquivo do documento não encontrado no armazenamento.' });
+    });
+    stream.once('data', () => {
+      res.set({
+        'Content-Type': document.content_type,
+        'Content-Length': document.size,
+        'Content-Disposition': contentDisposition(document.filename, req.query.inline === 'true'),
+        'X-Content-Type-Options': 'nosniff',
+      });
+    });
+    stream.pipe(res);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /students/{studentId}/documents/{documentId}:
+ *   delete:
+ *     summary: Remove um documento e o arquivo
+ *     tags: [Documentos]
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do estudante
+ *       - in: path
+ *         name: documentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do documento
+ *     responses:
+ *       204:
+ *         description: Documento removido
+ *       404:
+ *         description: Documento não encontrado
+ */
+router.delete('/:documentId', async (req, res) => {
+  try {
+    const document = await findDocument(req, res);
+    if (!document) return;
+
+    await getStorage(document.storage).remove(document.storage_key);
+    await document.deleteOne();
+    await recordAudit(req, { entityType: 'documents', action: 'delete', before: document });
+    res.status(204).send();
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
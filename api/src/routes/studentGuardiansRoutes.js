@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // recebe :studentId da rota pai
+const mongoose = require('mongoose');
+const { recordAudit } = require('../utils/audit');
+
+const LINK_FIELDS = ['relationship', 'legal_guardian', 'emergency_contact'];
+
+// Carrega o estudante (modelo em routes/studentsRoutes.js)
+router.use(async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.studentId)) {
+    return res.status(400).json({ error: 'ID do estudante inválido.' });
+  }
+
+  try {
+    const student = await mongoose.model('Student').findById(req.params.studentId);
+    if (!student) {
+      return res.status(404).json({ error: 'Estudante não encontrado!' });
+    }
+    req.student = student;
+    next();
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Responsáveis do estudante com os dados do vínculo
+const listGuardians = async (student) => {
+  const ids = student.guardians.map((link) => link.guardian);
+  const guardians = await mongoose.model('Guardian').find({ _id: { $in: ids } });
+  const byId = new Map(guardians.map((guardian) => [guardian._id.toString(), guardian]));
+
+  return student.guardians
+    .filter((link) => byId.has(link.guardian.toString()))
+    .map((link) => ({
+      guardian: byId.get(link.guardian.toString()),
+      relationship: link.relationship,
+      legal_guardian: link.legal_guardian,
+      emergency_contact: link.emergency_contact,
+    }));
+};
+
+
+/**
+ * @swagger
+ * /students/{studentId}/guardians:
+ *   get:
+ *     summary: Lista os responsáveis do estudante
+ *     tags: [Responsáveis]
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do estudante
+ *       - in: query
+ *         name: emergency
+ *         schema:
+ *           type: boolean
+ *         description: Somente contatos de emergência
+ *     responses:
+ *       200:
+ *         description: Responsáveis ({ guardian, relationship, legal_guardian, emergency_contact })
+ *       404:
+ *         description: Estudante não encontrado
+ */
+router.get('/', async (req, res) => {
+  try {
+    const links = await listGuardians(req.student);
+    res
+      .status(200)
+      .json(req.query.emergency === 'true' ? links.filter((link) => link.emergency_contact) : links);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /students/{studentId}/guardians/{guardianId}:
+ *   put:
+ *     summary: Vincula um responsável ao estudante ou altera o vínculo
+ *     tags: [Responsáveis]
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do estudante
+ *       - in: path
+ *         name: guardianId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do responsável
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               relationship:
+ *                 type: string
+ *                 enum: [mother, father, stepparent, grandparent, sibling, uncle_aunt, foster, other]
+ *               legal_guardian:
+ *                 type: boolean
+ *               emergency_contact:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Responsáveis do estudante após a alteração
+ *       400:
+ *         description: Dados do vínculo inválidos
+ *       404:
+ *         description: Estudante ou responsável não encontrado
+ */
+router.put('/:guardianId', async (req, res) => {
+  const { guardianId } = req.params;
+  const body = req.body || {};
+
+  try {
+    if (!mongoose.isValidObjectId(guardianId) || !(await mongoose.model('Guardian').exists({ _id: guardianId }))) {
+      return res.status(404).json({ error: 'Responsável não encontrado' });
+    }
+
+    const before = req.student.toJSON();
+    const fields = LINK_FIELDS.reduce(
+      (picked, field) => (body[field] === undefined ? picked : { ...picked, [field]: body[field] }),
+      {}
+    );
+    const link = req.student.guardians.find((entry) => entry.guardian.equals(guardianId));
+    if (link) {
+      link.set(fields);
+    } else {
+      req.student.guardians.push({ ...fields, guardian: guardianId });
+    }
+
+    await req.student.save();
+    await recordAudit(req, { entityType: 'students', action: 'update', before, after: req.student });
+    res.status(200).json(await listGuardians(req.student));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /students/{studentId}/guardians/{guardianId}:
+ *   delete:
+ *     summary: Desfaz o vínculo entre o estudante e o responsável
+ *     description: O cadastro do responsável é mantido.
+ *     tags: [Responsáveis]
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do estudante
+ *       - in: path
+ *         name: guardianId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do responsável
+ *     responses:
+ *       204:
+ *         description: Vínculo removido
+ *       404:
+ *         description: Estudante não encontrado ou responsável não vinculado
+ */
+router.delete('/:guardianId', async (req, res) => {
+  try {
+    const index = req.student.guardians.findIndex(
+      (entry) => entry.guardian.toString() === req.params.guardianId
+    );
+    if (index === -1) {
+      return res.status(404).json({ error: 'Responsável não vinculado ao estudante' });
+    }
+
+    const before = req.student.toJSON();
+    req.student.guardians.splice(index, 1);
+    await req.student.save();
+    await recordAudit(req, { entityType: 'students', action: 'update', before, after: req.student });
+    res.status(204).send();
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
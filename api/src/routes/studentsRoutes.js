@@ -1,15 +1,48 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
+const { recordAudit } = require('../utils/audit');
+const { escapeRegex } = require('../utils/regex');
+const { conditionLookup, validateStudentConditions } = require('../utils/conditions');
+const { schoolYearOf, teachersOfStudent } = require('../utils/classes');
+const { parseRange } = require('../utils/dateRange');
+const { DEFAULT_LIMIT, parsePagination, setPaginationHeaders } = require('../utils/pagination');
+const { parseListQuery, paginate } = require('../utils/listQuery');
+const { TIMELINE_TYPES, buildTimeline } = require('../utils/timeline');
 
+const RELATIONSHIPS = ['mother', 'father', 'stepparent', 'grandparent', 'sibling', 'uncle_aunt', 'foster', 'other'];
+
+// Condição do catálogo (routes/conditionsRoutes.js) vinculada ao estudante
+const studentConditionSchema = new mongoose.Schema(
+  {
+    condition: { type: mongoose.Schema.Types.ObjectId, ref: 'Condition', required: true },
+    diagnosis_date: Date,
+    report_reference: String, // laudo: número, emissor ou local do arquivo
+    notes: String,
+  },
+  { _id: false }
+);
+
+// Vínculo com um responsável (routes/guardiansRoutes.js); gerenciado em /students/{id}/guardians
+const studentGuardianSchema = new mongoose.Schema(
+  {
+    guardian: { type: mongoose.Schema.Types.ObjectId, ref: 'Guardian', required: true },
+    relationship: { type: String, enum: RELATIONSHIPS, default: 'other' },
+    legal_guardian: { type: Boolean, default: false }, // responsável legal
+    emergency_contact: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
 
 const studentSchema = new mongoose.Schema(
     {
       name: String,
       age: String,
-      parents: String,
+      parents: String, // texto livre antigo; use "guardians"
       phone_number: String,
-      special_needs: String,
+      special_needs: String, // texto livre antigo; use "conditions"
+      conditions: [studentConditionSchema],
+      guardians: [studentGuardianSchema],
       status: { type: String, default: "on" },
     },
     { collection: 'students' }
@@ -42,13 +75,50 @@ const studentSchema = new mongoose.Schema(
  *           description: Idade do estudante
  *         parents:
  *           type: string
- *           description: Pais ou responsáveis pelo estudante
+ *           description: Pais ou responsáveis em texto livre (legado, prefira "guardians")
  *         phone_number:
  *           type: string
- *           description: Número de telefone do responsável
+ *           description: Número de telefone do responsável (legado)
+ *         guardians:
+ *           type: array
+ *           readOnly: true
+ *           description: Vínculos com responsáveis (gerenciados em /students/{id}/guardians)
+ *           items:
+ *             type: object
+ *             properties:
+ *               guardian:
+ *                 type: string
+ *                 description: ID do responsável
+ *               relationship:
+ *                 type: string
+ *                 enum: [mother, father, stepparent, grandparent, sibling, uncle_aunt, foster, other]
+ *               legal_guardian:
+ *                 type: boolean
+ *               emergency_contact:
+ *                 type: boolean
  *         special_needs:
  *           type: string
- *           description: Necessidades especiais (opcional)
+ *           description: Necessidades especiais em texto livre (legado, prefira "conditions")
+ *         conditions:
+ *           type: array
+ *           description: Condições do catálogo (/conditions) com dados do laudo
+ *           items:
+ *             type: object
+ *             required:
+ *               - condition
+ *             properties:
+ *               condition:
+ *                 type: string
+ *                 description: ID da condição no catálogo
+ *               diagnosis_date:
+ *                 type: string
+ *                 format: date
+ *                 description: Data do diagnóstico
+ *               report_reference:
+ *                 type: string
+ *                 description: Referência do laudo
+ *               notes:
+ *                 type: string
  *         status:
  *           type: string
  *           description: Status do estudante (ativo/inativo)
@@ -58,6 +128,10 @@ const studentSchema = new mongoose.Schema(
  *         parents: "Bandit Heeler e Chilli Heeler"
  *         phone_number: "48 9696 5858"
  *         special_needs: "Síndrome de Down"
+ *         conditions:
+ *           - condition: "6750b1f2c9a1e23d4f5a6b80"
+ *             diagnosis_date: "2018-05-02"
+ *             report_reference: "Laudo 123/2018 - Hospital Infantil"
  *         status: "on"
  */
 
@@ -74,34 +148,57 @@ const studentSchema = new mongoose.Schema(
  * @swagger
  * /students/search:
  *   get:
- *     summary: Busca estudantes por nome
+ *     summary: Busca estudantes por nome, condição ou categoria
+ *     description: Informe ao menos um dos filtros; eles se combinam.
  *     tags: [Estudantes]
  *     parameters:
  *       - in: query
  *         name: name
  *         schema:
  *           type: string
- *         required: true
  *         description: Nome ou parte do nome do estudante
+ *       - in: query
+ *         name: condition
+ *         schema:
+ *           type: string
+ *         description: ID da condição no catálogo ou código CID-10/CID-11
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Categoria da condição (ex. autism, visual)
  *     responses:
  *       200:
  *         description: Lista de estudantes encontrados
  *       400:
- *         description: Parâmetro "name" ausente ou inválido
+ *         description: Nenhum filtro informado
  *       404:
  *         description: Nenhum estudante encontrado
  */
 router.get('/search', async (req, res) => {
-  const { name } = req.query;
+  const { name, condition, category } = req.query;
 
-  if (!name) {
-    return res.status(400).json({ error: 'Parâmetro "name" é obrigatório.' });
+  if (!name && !condition && !category) {
+    return res
+      .status(400)
+      .json({ error: 'Informe ao menos um dos parâmetros "name", "condition" ou "category".' });
   }
 
   try {
-    const students = await Student.find({
-      name: { $regex: name, $options: 'i' },
-    });
+    const filter = {};
+    if (name) filter.name = { $regex: escapeRegex(name), $options: 'i' };
+
+    // Condições do catálogo que atendem aos filtros (modelo em routes/conditionsRoutes.js)
+    if (condition || category) {
+      const conditionFilter = {
+        ...(condition ? conditionLookup(condition) : {}),
+        ...(category ? { category } : {}),
+      };
+      const ids = await mongoose.model('Condition').distinct('_id', conditionFilter);
+      filter['conditions.condition'] = { $in: ids };
+    }
+
+    const students = await Student.find(filter);
 
     if (students.length === 0) {
       return res.status(404).json({ error: 'Nenhum estudante encontrado.' });
@@ -117,21 +214,37 @@ router.get('/search', async (req, res) => {
  * @swagger
  * /students:
  *   get:
- *     summary: Retorna todos os estudantes
+ *     summary: Lista os estudantes com paginação, ordenação e filtros
  *     tags: [Estudantes]
+ *     parameters:
+ *       - $ref: '#/components/parameters/pageParam'
+ *       - $ref: '#/components/parameters/limitParam'
+ *       - $ref: '#/components/parameters/sortParam'
+ *       - $ref: '#/components/parameters/filtersParam'
  *     responses:
  *       200:
- *         description: Lista de estudantes
+ *         description: Página da lista de estudantes (padrão em ordem de nome)
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Estudante'
+ *       400:
+ *         description: Parâmetros de paginação, ordenação ou filtro inválidos
  */
 router.get('/', async (req, res) => {
+  const list = parseListQuery(Student, req.query, { defaultSort: { name: 1 } });
+  if (list.error) {
+    return res.status(400).json({ error: list.error });
+  }
+
   try {
-    const students = await Student.find();
+    const [students, total] = await Promise.all([
+      paginate(Student.find(list.filter), list),
+      Student.countDocuments(list.filter),
+    ]);
+    setPaginationHeaders(req, res, list, total);
     res.status(200).json(students);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -174,6 +287,154 @@ router.get('/:id', async (req, res) => {
 });
 
 
+/**
+ * @swagger
+ * /students/{id}/teachers:
+ *   get:
+ *     summary: Professores do estudante (regentes e por disciplina das turmas em que está matriculado)
+ *     tags: [Estudantes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do estudante
+ *       - in: query
+ *         name: school_year
+ *         schema:
+ *           type: integer
+ *         description: Ano letivo (padrão o ano corrente)
+ *     responses:
+ *       200:
+ *         description: Professores com a turma, o papel e a disciplina
+ *       404:
+ *         description: Estudante não encontrado
+ */
+router.get('/:id/teachers', async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({ error: 'Estudante não encontrado!' });
+    }
+    res.status(200).json(await teachersOfStudent(student._id, schoolYearOf(req.query.school_year)));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /students/{id}/enrollments:
+ *   get:
+ *     summary: Histórico de matrículas e transferências do estudante
+ *     tags: [Estudantes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do estudante
+ *     responses:
+ *       200:
+ *         description: Matrículas da mais recente para a mais antiga
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Matrícula'
+ */
+router.get('/:id/enrollments', async (req, res) => {
+  try {
+    // Modelo Enrollment em routes/classesRoutes.js
+    const enrollments = await mongoose
+      .model('Enrollment')
+      .find({ student: req.params.id })
+      .populate('class', 'name school_year grade shift')
+      .sort({ start_date: -1 });
+    res.status(200).json(enrollments);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /students/{id}/timeline:
+ *   get:
+ *     summary: Histórico do estudante em ordem cronológica
+ *     description: >
+ *       Reúne agendamentos, mudanças de status dos agendamentos, notas de sessão (versão mais
+ *       recente, somente para quem pode ler notas), participação em eventos e edições do
+ *       cadastro (somente para quem pode consultar a auditoria), do mais recente para o mais
+ *       antigo. Sempre paginado (20 itens por página quando "limit" não é informado).
+ *     tags: [Estudantes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do estudante
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *         description: Tipos separados por vírgula (appointment, status_change, session_note, event, record_edit)
+ *       - $ref: '#/components/parameters/dateParam'
+ *       - $ref: '#/components/parameters/fromParam'
+ *       - $ref: '#/components/parameters/toParam'
+ *       - $ref: '#/components/parameters/weekParam'
+ *       - $ref: '#/components/parameters/monthParam'
+ *       - $ref: '#/components/parameters/pageParam'
+ *       - $ref: '#/components/parameters/limitParam'
+ *     responses:
+ *       200:
+ *         description: Itens com "type" e "date" e os dados de cada tipo
+ *       400:
+ *         description: Parâmetros inválidos
+ *       404:
+ *         description: Estudante não encontrado
+ */
+router.get('/:id/timeline', async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'ID do estudante inválido.' });
+  }
+
+  const types = req.query.types ? req.query.types.split(',').map((type) => type.trim()) : TIMELINE_TYPES;
+  const invalid = types.filter((type) => !TIMELINE_TYPES.includes(type));
+  if (invalid.length) {
+    return res
+      .status(400)
+      .json({ error: `Tipos inválidos: ${invalid.join(', ')}. Use: ${TIMELINE_TYPES.join(', ')}.` });
+  }
+
+  const range = parseRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  const pagination = parsePagination(req.query, { defaultLimit: DEFAULT_LIMIT });
+  if (pagination.error) {
+    return res.status(400).json({ error: pagination.error });
+  }
+
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({ error: 'Estudante não encontrado!' });
+    }
+
+    const items = await buildTimeline(student._id, { types, range, user: req.user });
+    setPaginationHeaders(req, res, pagination, items.length);
+    res.status(200).json(items.slice(pagination.skip, pagination.skip + pagination.limit));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+
 
 /**
  * @swagger
@@ -193,8 +454,15 @@ router.get('/:id', async (req, res) => {
  */
 router.post('/', async (req, res) => {
   try {
-    const newStudent = new Student(req.body);
+    const conditionError = await validateStudentConditions((req.body || {}).conditions);
+    if (conditionError) {
+      return res.status(400).json({ error: conditionError });
+    }
+
+    const { guardians, ...fields } = req.body; // vínculos via /students/{id}/guardians
+    const newStudent = new Student(fields);
     await newStudent.save();
+    await recordAudit(req, { entityType: 'students', action: 'create', after: newStudent });
     res.status(201).json(newStudent);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -228,14 +496,22 @@ router.post('/', async (req, res) => {
  */
 router.put('/:id', async (req, res) => {
   try {
+    const conditionError = await validateStudentConditions((req.body || {}).conditions);
+    if (conditionError) {
+      return res.status(400).json({ error: conditionError });
+    }
+
+    const { guardians, ...changes } = req.body;
+    const before = await Student.findById(req.params.id);
     const updatedStudent = await Student.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      changes,
       { new: true }
     );
     if (!updatedStudent) {
       return res.status(404).json({ error: 'Estudante não encontrado!' });
     }
+    await recordAudit(req, { entityType: 'students', action: 'update', before, after: updatedStudent });
     res.status(200).json(updatedStudent);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -267,6 +543,7 @@ router.delete('/:id', async (req, res) => {
     if (!deletedStudent) {
       return res.status(404).json({ error: 'Estudante não encontrado!' });
     }
+    await recordAudit(req, { entityType: 'students', action: 'delete', before: deletedStudent });
     res.status(204).send();
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -0,0 +1,306 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // recebe :teacherId da rota pai
+const mongoose = require('mongoose');
+const { recordAudit } = require('../utils/audit');
+const { schoolYearOf } = require('../utils/classes');
+const { findSlotConflicts } = require('../utils/teacherSchedule');
+
+const SLOT_FIELDS = ['weekday', 'shift', 'class', 'subject', 'start', 'end'];
+
+const pickFields = (source) =>
+  SLOT_FIELDS.reduce(
+    (fields, field) => (source[field] === undefined ? fields : { ...fields, [field]: source[field] }),
+    {}
+  );
+
+// Carrega o professor (modelo em routes/teachersRoutes.js)
+router.use(async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.teacherId)) {
+    return res.status(400).json({ error: 'ID do professor inválido.' });
+  }
+
+  try {
+    const teacher = await mongoose.model('Teacher').findById(req.params.teacherId);
+    if (!teacher) {
+      return res.status(404).json({ error: 'Professor não encontrado!' });
+    }
+    req.teacher = teacher;
+    next();
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+const findSlot = (req, res) => {
+  const slot = mongoose.isValidObjectId(req.params.slotId) && req.teacher.schedule.id(req.params.slotId);
+  if (!slot) {
+    res.status(404).json({ error: 'Aula não encontrada' });
+  }
+  return slot;
+};
+
+// Completa a aula com o ano letivo, o turno e a disciplina e confere a turma
+// (modelo SchoolClass em routes/classesRoutes.js)
+const resolveSlot = async (slot, teacher) => {
+  const schoolClass = mongoose.isValidObjectId(slot.class) && (await mongoose.model('SchoolClass').findById(slot.class));
+  if (!schoolClass) {
+    return 'Turma informada em "class" não existe.';
+  }
+
+  slot.school_year = schoolClass.school_year;
+  if (!slot.shift) slot.shift = schoolClass.shift;
+  if (!slot.subject) slot.subject = teacher.subject;
+
+  if (schoolClass.shift !== 'full' && slot.shift !== schoolClass.shift) {
+    return `O turno da aula deve ser o da turma (${schoolClass.shift}).`;
+  }
+  return null;
+};
+
+// Valida a aula já incluída em teacher.schedule; responde e devolve false se não puder gravar
+const checkSlot = async (req, res, slot) => {
+  const error = await resolveSlot(slot, req.teacher);
+  if (error) {
+    res.status(400).json({ error });
+    return false;
+  }
+  await slot.validate();
+
+  const conflicts = await findSlotConflicts(req.teacher, slot);
+  if (conflicts.length) {
+    res.status(409).json({
+      error: 'Conflito de horário: o professor ou a turma já tem aula neste período.',
+      conflicts,
+    });
+    return false;
+  }
+  return true;
+};
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Aula:
+ *       type: object
+ *       required:
+ *         - weekday
+ *         - class
+ *         - start
+ *         - end
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID gerado automaticamente
+ *         weekday:
+ *           type: integer
+ *           description: Dia da semana (0 = domingo, 6 = sábado)
+ *         shift:
+ *           type: string
+ *           enum: [morning, afternoon, evening, full]
+ *           description: Turno (padrão o da turma)
+ *         class:
+ *           type: string
+ *           description: ID da turma
+ *         school_year:
+ *           type: integer
+ *           readOnly: true
+ *           description: Ano letivo da turma
+ *         subject:
+ *           type: string
+ *           description: Disciplina (padrão a matéria do professor)
+ *         start:
+ *           type: string
+ *           description: Início no formato HH:mm
+ *         end:
+ *           type: string
+ *           description: Fim no formato HH:mm
+ *       example:
+ *         weekday: 1
+ *         class: "66f1a2b3c4d5e6f708192a3b"
+ *         subject: "Ciências"
+ *         start: "07:30"
+ *         end: "09:10"
+ */
+
+/**
+ * @swagger
+ * /teachers/{teacherId}/schedule:
+ *   get:
+ *     summary: Grade semanal de aulas do professor
+ *     tags: [Professores]
+ *     parameters:
+ *       - in: path
+ *         name: teacherId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do professor
+ *       - in: query
+ *         name: school_year
+ *         schema:
+ *           type: integer
+ *         description: Ano letivo (padrão o ano corrente)
+ *     responses:
+ *       200:
+ *         description: Aulas por dia da semana e horário, com os dados da turma
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Aula'
+ *       404:
+ *         description: Professor não encontrado
+ */
+router.get('/', async (req, res) => {
+  try {
+    const schoolYear = schoolYearOf(req.query.school_year);
+    await req.teacher.populate('schedule.class', 'name grade shift');
+    const slots = req.teacher.schedule
+      .filter((slot) => slot.school_year === schoolYear)
+      .sort((a, b) => a.weekday - b.weekday || a.start.localeCompare(b.start));
+    res.status(200).json(slots);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /teachers/{teacherId}/schedule:
+ *   post:
+ *     summary: Inclui uma aula na grade do professor
+ *     tags: [Professores]
+ *     parameters:
+ *       - in: path
+ *         name: teacherId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do professor
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Aula'
+ *     responses:
+ *       201:
+ *         description: Aula incluída
+ *       400:
+ *         description: Dados inválidos ou turma inexistente
+ *       404:
+ *         description: Professor não encontrado
+ *       409:
+ *         description: O professor ou a turma já tem aula no horário
+ */
+router.post('/', async (req, res) => {
+  try {
+    const before = req.teacher.toJSON();
+    req.teacher.schedule.push(pickFields(req.body));
+    const slot = req.teacher.schedule[req.teacher.schedule.length - 1];
+    if (!(await checkSlot(req, res, slot))) return;
+
+    await req.teacher.save();
+    await recordAudit(req, { entityType: 'teachers', action: 'update', before, after: req.teacher });
+    res.status(201).json(slot);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /teachers/{teacherId}/schedule/{slotId}:
+ *   put:
+ *     summary: Altera uma aula da grade do professor
+ *     tags: [Professores]
+ *     parameters:
+ *       - in: path
+ *         name: teacherId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do professor
+ *       - in: path
+ *         name: slotId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da aula
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Aula'
+ *     responses:
+ *       200:
+ *         description: Aula alterada
+ *       400:
+ *         description: Dados inválidos ou turma inexistente
+ *       404:
+ *         description: Professor ou aula não encontrados
+ *       409:
+ *         description: O professor ou a turma já tem aula no horário
+ */
+router.put('/:slotId', async (req, res) => {
+  try {
+    const slot = findSlot(req, res);
+    if (!slot) return;
+
+    const before = req.teacher.toJSON();
+    slot.set(pickFields(req.body));
+    if (!(await checkSlot(req, res, slot))) return;
+
+    await req.teacher.save();
+    await recordAudit(req, { entityType: 'teachers', action: 'update', before, after: req.teacher });
+    res.status(200).json(slot);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /teachers/{teacherId}/schedule/{slotId}:
+ *   delete:
+ *     summary: Remove uma aula da grade do professor
+ *     tags: [Professores]
+ *     parameters:
+ *       - in: path
+ *         name: teacherId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do professor
+ *       - in: path
+ *         name: slotId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da aula
+ *     responses:
+ *       204:
+ *         description: Aula removida
+ *       404:
+ *         description: Professor ou aula não encontrados
+ */
+router.delete('/:slotId', async (req, res) => {
+  try {
+    const slot = findSlot(req, res);
+    if (!slot) return;
+
+    const before = req.teacher.toJSON();
+    slot.deleteOne();
+    await req.teacher.save();
+    await recordAudit(req, { entityType: 'teachers', action: 'update', before, after: req.teacher });
+    res.status(204).send();
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
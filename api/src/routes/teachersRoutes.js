@@ -1,6 +1,33 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
+const { recordAudit } = require('../utils/audit');
+const { SHIFTS, schoolYearOf, studentsOfTeacher } = require('../utils/classes');
+const { TIME_FORMAT } = require('../utils/availability');
+const { workloadOf } = require('../utils/teacherSchedule');
+const { setPaginationHeaders } = require('../utils/pagination');
+const { parseListQuery, paginate } = require('../utils/listQuery');
+
+const timeField = {
+  type: String,
+  match: [TIME_FORMAT, 'Horário deve estar no formato HH:mm'],
+};
+
+// Aula semanal do professor (ex.: segunda, manhã, 3º ano A, das 07:30 às 09:10)
+const scheduleSlotSchema = new mongoose.Schema({
+  weekday: { type: Number, min: 0, max: 6, required: true }, // 0 = domingo
+  shift: { type: String, enum: SHIFTS, required: true },
+  class: { type: mongoose.Schema.Types.ObjectId, ref: 'SchoolClass', required: true },
+  school_year: { type: Number, required: true }, // copiado da turma
+  subject: String, // padrão: Teacher.subject
+  start: { ...timeField, required: true },
+  end: { ...timeField, required: true },
+});
+scheduleSlotSchema.pre('validate', function () {
+  if (this.start && this.end && this.start >= this.end) {
+    this.invalidate('end', 'O horário final deve ser posterior ao inicial.');
+  }
+});
 
 // Definição do esquema de professores
 const teacherSchema = new mongoose.Schema(
@@ -10,9 +37,12 @@ const teacherSchema = new mongoose.Schema(
       phone_number: String,
       email: String,
       status: String,
+      weekly_hours_limit: { type: Number, min: 1 }, // padrão: TEACHER_WEEKLY_HOURS_LIMIT
+      schedule: [scheduleSlotSchema], // gerenciado em /teachers/{id}/schedule
     },
     { collection: 'teachers' } // Especifica a coleção
   );
+  teacherSchema.index({ 'schedule.class': 1 });
   const Teacher = mongoose.model('Teacher', teacherSchema);
 
 
@@ -47,12 +77,22 @@ const teacherSchema = new mongoose.Schema(
  *         status:
  *           type: string
  *           description: Status do professor (ativo/inativo)
+ *         weekly_hours_limit:
+ *           type: number
+ *           description: Limite de horas semanais do contrato (padrão TEACHER_WEEKLY_HOURS_LIMIT)
+ *         schedule:
+ *           type: array
+ *           readOnly: true
+ *           description: Aulas semanais (gerenciadas em /teachers/{id}/schedule)
+ *           items:
+ *             $ref: '#/components/schemas/Aula'
  *       example:
  *         name: "Professor Xavier"
  *         subject: "Ciências"
  *         phone_number: "48 9999 1234"
  *         email: "xavier@escola.com"
  *         status: "ativo"
+ *         weekly_hours_limit: 30
  */
 
 /**
@@ -113,27 +153,93 @@ router.get('/search', async (req, res) => {
  * @swagger
  * /teachers:
  *   get:
- *     summary: Retorna todos os professores
+ *     summary: Lista os professores com paginação, ordenação e filtros
  *     tags: [Professores]
+ *     parameters:
+ *       - $ref: '#/components/parameters/pageParam'
+ *       - $ref: '#/components/parameters/limitParam'
+ *       - $ref: '#/components/parameters/sortParam'
+ *       - $ref: '#/components/parameters/filtersParam'
  *     responses:
  *       200:
- *         description: Lista de professores
+ *         description: Página da lista de professores (padrão em ordem de nome)
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Professores'
+ *       400:
+ *         description: Parâmetros de paginação, ordenação ou filtro inválidos
  */
 router.get('/', async (req, res) => {
+  const list = parseListQuery(Teacher, req.query, { defaultSort: { name: 1 } });
+  if (list.error) {
+    return res.status(400).json({ error: list.error });
+  }
+
   try {
-    const teachers = await Teacher.find();
+    const [teachers, total] = await Promise.all([
+      paginate(Teacher.find(list.filter), list),
+      Teacher.countDocuments(list.filter),
+    ]);
+    setPaginationHeaders(req, res, list, total);
     res.status(200).json(teachers);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
+/**
+ * @swagger
+ * /teachers/workload:
+ *   get:
+ *     summary: Carga horária semanal dos professores
+ *     description: >
+ *       Soma as horas das aulas semanais de cada professor no ano letivo e compara com o
+ *       limite do contrato (weekly_hours_limit do professor ou TEACHER_WEEKLY_HOURS_LIMIT).
+ *     tags: [Professores]
+ *     parameters:
+ *       - in: query
+ *         name: school_year
+ *         schema:
+ *           type: integer
+ *         description: Ano letivo (padrão o ano corrente)
+ *       - in: query
+ *         name: teacher
+ *         schema:
+ *           type: string
+ *         description: Somente este professor
+ *       - in: query
+ *         name: over_limit
+ *         schema:
+ *           type: boolean
+ *         description: Somente professores acima do limite
+ *     responses:
+ *       200:
+ *         description: Carga de cada professor (horas, limite, saldo e horas por dia da semana), da maior para a menor
+ *       400:
+ *         description: Parâmetros inválidos
+ */
+router.get('/workload', async (req, res) => {
+  const { teacher, over_limit } = req.query;
+  if (teacher && !mongoose.isValidObjectId(teacher)) {
+    return res.status(400).json({ error: 'Parâmetro "teacher" inválido.' });
+  }
+
+  try {
+    const schoolYear = schoolYearOf(req.query.school_year);
+    const teachers = await Teacher.find(teacher ? { _id: teacher } : {});
+    const report = teachers
+      .map((found) => workloadOf(found, schoolYear))
+      .filter((entry) => over_limit !== 'true' || entry.over_limit)
+      .sort((a, b) => b.hours - a.hours);
+    res.status(200).json(report);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /teachers/{id}:
@@ -169,6 +275,42 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /teachers/{id}/students:
+ *   get:
+ *     summary: Estudantes do professor (matrículas ativas nas turmas em que é regente ou leciona)
+ *     tags: [Professores]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID do professor
+ *       - in: query
+ *         name: school_year
+ *         schema:
+ *           type: integer
+ *         description: Ano letivo (padrão o ano corrente)
+ *     responses:
+ *       200:
+ *         description: Estudantes com as turmas e papéis do professor em cada uma
+ *       404:
+ *         description: Professor não encontrado
+ */
+router.get('/:id/students', async (req, res) => {
+  try {
+    const teacher = await Teacher.findById(req.params.id);
+    if (!teacher) {
+      return res.status(404).json({ error: 'Professor não encontrado!' });
+    }
+    res.status(200).json(await studentsOfTeacher(teacher._id, schoolYearOf(req.query.school_year)));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 
 /**
  * @swagger
@@ -188,8 +330,10 @@ router.get('/:id', async (req, res) => {
  */
 router.post('/', async (req, res) => {
   try {
-    const newTeacher = new Teacher(req.body);
+    const { schedule, ...fields } = req.body; // aulas via /teachers/{id}/schedule
+    const newTeacher = new Teacher(fields);
     await newTeacher.save();
+    await recordAudit(req, { entityType: 'teachers', action: 'create', after: newTeacher });
     res.status(201).json(newTeacher);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -223,14 +367,17 @@ router.post('/', async (req, res) => {
  */
 router.put('/:id', async (req, res) => {
   try {
+    const { schedule, ...changes } = req.body;
+    const before = await Teacher.findById(req.params.id);
     const updatedTeacher = await Teacher.findByIdAndUpdate(
       req.params.id,
-      req.body,
-      { new: true }
+      changes,
+      { new: true, runValidators: true }
     );
     if (!updatedTeacher) {
       return res.status(404).json({ error: 'Professor não encontrado!' });
     }
+    await recordAudit(req, { entityType: 'teachers', action: 'update', before, after: updatedTeacher });
     res.status(200).json(updatedTeacher);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -262,6 +409,7 @@ router.delete('/:id', async (req, res) => {
     if (!deletedTeacher) {
       return res.status(404).json({ error: 'Professor não encontrado!' });
     }
+    await recordAudit(req, { entityType: 'teachers', action: 'delete', before: deletedTeacher });
     res.status(204).send();
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -1,16 +1,56 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
+const { recordAudit } = require('../utils/audit');
+const bcrypt = require('bcryptjs');
+const { ROLES } = require('../middleware/permissions');
+const { setPaginationHeaders } = require('../utils/pagination');
+const { parseListQuery, paginate } = require('../utils/listQuery');
+
+const SALT_ROUNDS = 10;
 
 // Definição do esquema do Mongoose para usuários
 const userSchema = new mongoose.Schema({
     nome: String,
     email: String,
-    user: String,
+    user: { type: String, unique: true },
     pwd: String,
-    level: String,
+    level: { type: String, enum: Object.values(ROLES) },
     status: String,
-  }, { collection: 'users' }); // Corrigido: Opções do esquema
+    // Cadastro em prof-saude do usuário com perfil "prof-saude"
+    profissional: { type: mongoose.Schema.Types.ObjectId, ref: 'Profissional' },
+    feed_token_hash: String, // assinatura das agendas .ics (ver routes/icsRoutes.js)
+  }, {
+    collection: 'users', // Corrigido: Opções do esquema
+    toJSON: {
+      // A senha (mesmo com hash) e o token de assinatura nunca são devolvidos nas respostas
+      transform: (doc, ret) => {
+        delete ret.pwd;
+        delete ret.feed_token_hash;
+        return ret;
+      },
+    },
+  });
+
+  // Gera o hash da senha ao criar ou alterar o usuário
+  userSchema.pre('save', async function () {
+    if (this.isModified('pwd')) {
+      this.pwd = await bcrypt.hash(this.pwd, SALT_ROUNDS);
+    }
+  });
+
+  userSchema.pre('findOneAndUpdate', async function () {
+    const update = this.getUpdate();
+    const target = update.$set && update.$set.pwd ? update.$set : update;
+    if (target.pwd) {
+      target.pwd = await bcrypt.hash(target.pwd, SALT_ROUNDS);
+    }
+  });
+
+  userSchema.methods.comparePassword = function (pwd) {
+    return bcrypt.compare(pwd || '', this.pwd || '');
+  };
+
   const User = mongoose.model('Users', userSchema);
 
 
@@ -42,13 +82,18 @@ const userSchema = new mongoose.Schema({
  *           description: Nome de identificação
  *         pwd:
  *           type: string
- *           description: Senha do usuário
+ *           writeOnly: true
+ *           description: Senha do usuário (armazenada com hash e nunca retornada)
  *         level:
  *           type: string
+ *           enum: [admin, coordenador, professor, prof-saude, secretaria]
  *           description: Perfil de acesso
  *         status:
  *           type: string
  *           description: Status atual
+ *         profissional:
+ *           type: string
+ *           description: ID do cadastro em prof-saude (usuários com perfil prof-saude)
  *       example:
  *         nome: "Caio Hobold"
  *         email: "caio.hobold@nextfit.com.br"
@@ -120,21 +165,41 @@ router.get('/search', async (req, res) => {
    * @swagger
    * /users:
    *   get:
-   *     summary: Retorna todos os usuários
+   *     summary: Lista os usuários com paginação, ordenação e filtros
+   *     description: A senha e o token das agendas .ics não podem ser usados em filtros nem na ordenação.
    *     tags: [Usuários]
+   *     parameters:
+   *       - $ref: '#/components/parameters/pageParam'
+   *       - $ref: '#/components/parameters/limitParam'
+   *       - $ref: '#/components/parameters/sortParam'
+   *       - $ref: '#/components/parameters/filtersParam'
    *     responses:
    *       200:
-   *         description: Lista de usuários
+   *         description: Página da lista de usuários (padrão em ordem de login)
    *         content:
    *           application/json:
    *             schema:
    *               type: array
    *               items:
    *                 $ref: '#/components/schemas/Usuários'
+   *       400:
+   *         description: Parâmetros de paginação, ordenação ou filtro inválidos
    */
   router.get('/', async (req, res) => {
+    const list = parseListQuery(User, req.query, {
+      hidden: ['pwd', 'feed_token_hash'],
+      defaultSort: { user: 1 },
+    });
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
+
     try {
-      const users = await User.find();
+      const [users, total] = await Promise.all([
+        paginate(User.find(list.filter), list),
+        User.countDocuments(list.filter),
+      ]);
+      setPaginationHeaders(req, res, list, total);
       res.status(200).json(users);
     } catch (err) {
       res.status(400).json({ error: err.message });
@@ -196,6 +261,7 @@ router.post('/', async (req, res) => {
   try {
     const newUser = new User(req.body);
     await newUser.save();
+    await recordAudit(req, { entityType: 'users', action: 'create', after: newUser });
     res.status(201).json(newUser);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -229,12 +295,15 @@ router.post('/', async (req, res) => {
  */
 router.put('/:id', async (req, res) => {
   try {
+    const before = await User.findById(req.params.id);
     const updatedUser = await User.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
+      runValidators: true,
     });
     if (!updatedUser) {
       return res.status(404).json({ error: 'Usuário não encontrado!' });
     }
+    await recordAudit(req, { entityType: 'users', action: 'update', before, after: updatedUser });
     res.status(200).json(updatedUser);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -266,6 +335,7 @@ router.delete('/:id', async (req, res) => {
     if (!deletedUser) {
       return res.status(404).json({ error: 'Usuário não encontrado!' });
     }
+    await recordAudit(req, { entityType: 'users', action: 'delete', before: deletedUser });
     res.status(204).send();
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -0,0 +1,452 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { recordAudit } = require('../utils/audit');
+const { escapeRegex } = require('../utils/regex');
+const { findConflicts, validateReferences } = require('../utils/scheduling');
+const { offerSlot, releaseOffer, expireOffers } = require('../utils/waitlist');
+const { checkProfessionalSpecialty } = require('../utils/specialties');
+
+const WAITLIST_STATUSES = ['waiting', 'offered', 'scheduled'];
+
+// Período em que a família aceita atendimento
+const windowSchema = new mongoose.Schema(
+  {
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+  },
+  { _id: false }
+);
+windowSchema.pre('validate', function () {
+  if (this.start && this.end && this.start >= this.end) {
+    this.invalidate('end', 'O fim da janela deve ser posterior ao início.');
+  }
+});
+
+// Horário oferecido (ou recusado) a uma entrada da lista
+const offerSchema = new mongoose.Schema(
+  {
+    date: { type: Date, required: true },
+    duration: Number,
+    professional: { type: mongoose.Schema.Types.ObjectId, ref: 'Profissional', required: true },
+    offered_at: Date,
+    expires_at: Date,
+  },
+  { _id: false }
+);
+
+// Definição do esquema da lista de espera por especialidade
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    specialty: { type: String, required: true }, // nome no catálogo de especialidades
+    priority: { type: Number, min: 1, max: 5, default: 3 }, // 1 = mais urgente
+    windows: [windowSchema],
+    notes: String,
+    status: { type: String, enum: WAITLIST_STATUSES, default: 'waiting' },
+    offer: offerSchema,
+    declined_offers: [offerSchema],
+    appointment: { type: mongoose.Schema.Types.ObjectId, ref: 'Appointment' },
+  },
+  { collection: 'waitlist', timestamps: true }
+);
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+// Campos que o usuário pode informar; status e ofertas são controlados pelas rotas
+const EDITABLE_FIELDS = ['student', 'specialty', 'priority', 'windows', 'notes'];
+
+const pickEditable = (body) =>
+  EDITABLE_FIELDS.reduce(
+    (fields, field) => (body[field] === undefined ? fields : { ...fields, [field]: body[field] }),
+    {}
+  );
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Lista de espera:
+ *       type: object
+ *       required:
+ *         - student
+ *         - specialty
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: ID gerado automaticamente
+ *         student:
+ *           type: string
+ *           description: ID do estudante
+ *         specialty:
+ *           type: string
+ *           description: Especialidade desejada (nome ou sinônimo no catálogo; gravada com o nome do catálogo)
+ *         priority:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           default: 3
+ *           description: Prioridade (1 = mais urgente)
+ *         windows:
+ *           type: array
+ *           description: Períodos em que a família aceita o atendimento (vazio = qualquer data)
+ *           items:
+ *             type: object
+ *             properties:
+ *               start:
+ *                 type: string
+ *                 format: date-time
+ *               end:
+ *                 type: string
+ *                 format: date-time
+ *         notes:
+ *           type: string
+ *           description: Observações
+ *         status:
+ *           type: string
+ *           readOnly: true
+ *           enum: [waiting, offered, scheduled]
+ *           description: Situação na lista
+ *         offer:
+ *           type: object
+ *           readOnly: true
+ *           description: Horário oferecido aguardando resposta
+ *         appointment:
+ *           type: string
+ *           readOnly: true
+ *           description: Agendamento criado ao aceitar a oferta
+ *       example:
+ *         student: "6750b1f2c9a1e23d4f5a6b7c"
+ *         specialty: "Fonoaudiologia"
+ *         priority: 2
+ *         windows:
+ *           - start: "2024-04-01T08:00:00Z"
+ *             end: "2024-04-30T18:00:00Z"
+ *         notes: "Prefere período da manhã"
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Lista de espera
+ *   description: Fila por especialidade quando não há horário disponível
+ */
+
+/**
+ * @swagger
+ * /waitlist:
+ *   get:
+ *     summary: Lista as entradas da lista de espera em ordem de prioridade
+ *     tags: [Lista de espera]
+ *     parameters:
+ *       - in: query
+ *         name: specialty
+ *         schema:
+ *           type: string
+ *         description: Filtra pela especialidade (sem diferenciar maiúsculas)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, offered, scheduled]
+ *         description: Filtra pela situação
+ *     responses:
+ *       200:
+ *         description: Entradas da lista
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Lista de espera'
+ */
+router.get('/', async (req, res) => {
+  const filter = {};
+  if (req.query.specialty) {
+    filter.specialty = { $regex: `^${escapeRegex(req.query.specialty)}$`, $options: 'i' };
+  }
+  if (req.query.status) filter.status = req.query.status;
+
+  try {
+    await expireOffers(req);
+    const entries = await WaitlistEntry.find(filter).sort({ priority: 1, createdAt: 1 });
+    res.status(200).json(entries);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /waitlist/{id}:
+ *   get:
+ *     summary: Retorna uma entrada da lista de espera
+ *     tags: [Lista de espera]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da entrada
+ *     responses:
+ *       200:
+ *         description: Entrada encontrada
+ *       404:
+ *         description: Entrada não encontrada
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    await expireOffers(req);
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Entrada da lista de espera não encontrada' });
+    }
+    res.status(200).json(entry);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /waitlist:
+ *   post:
+ *     summary: Inclui um estudante na lista de espera
+ *     tags: [Lista de espera]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Lista de espera'
+ *     responses:
+ *       201:
+ *         description: Entrada criada
+ *       400:
+ *         description: Dados inválidos ou estudante inexistente
+ */
+router.post('/', async (req, res) => {
+  try {
+    const fields = pickEditable(req.body || {});
+    const referenceError = await validateReferences(fields);
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    // Sem profissional, só confere a especialidade no catálogo e troca pelo nome de lá
+    const specialtyCheck = await checkProfessionalSpecialty(fields);
+    if (specialtyCheck.error) {
+      return res.status(400).json({ error: specialtyCheck.error });
+    }
+    if (specialtyCheck.specialty) fields.specialty = specialtyCheck.specialty;
+
+    const entry = new WaitlistEntry(fields);
+    await entry.save();
+    await recordAudit(req, { entityType: 'waitlist', action: 'create', after: entry });
+    res.status(201).json(entry);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /waitlist/{id}:
+ *   put:
+ *     summary: Atualiza prioridade, janelas ou observações de uma entrada
+ *     tags: [Lista de espera]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da entrada
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Lista de espera'
+ *     responses:
+ *       200:
+ *         description: Entrada atualizada
+ *       404:
+ *         description: Entrada não encontrada
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const fields = pickEditable(req.body || {});
+    const referenceError = await validateReferences(fields);
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    // Sem profissional, só confere a especialidade no catálogo e troca pelo nome de lá
+    const specialtyCheck = await checkProfessionalSpecialty(fields);
+    if (specialtyCheck.error) {
+      return res.status(400).json({ error: specialtyCheck.error });
+    }
+    if (specialtyCheck.specialty) fields.specialty = specialtyCheck.specialty;
+
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Entrada da lista de espera não encontrada' });
+    }
+
+    const before = entry.toJSON();
+    entry.set(fields);
+    await entry.save();
+    await recordAudit(req, { entityType: 'waitlist', action: 'update', before, after: entry });
+    res.status(200).json(entry);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /waitlist/{id}/accept:
+ *   post:
+ *     summary: Aceita o horário oferecido e cria o agendamento
+ *     tags: [Lista de espera]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da entrada
+ *     responses:
+ *       201:
+ *         description: Agendamento criado
+ *       400:
+ *         description: Entrada sem oferta pendente
+ *       404:
+ *         description: Entrada não encontrada
+ *       409:
+ *         description: Oferta expirada ou horário já ocupado (a vaga segue para o próximo da lista)
+ */
+router.post('/:id/accept', async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Entrada da lista de espera não encontrada' });
+    }
+    if (entry.status !== 'offered' || !entry.offer) {
+      return res.status(400).json({ error: 'Esta entrada não possui oferta pendente.' });
+    }
+
+    if (entry.offer.expires_at < new Date()) {
+      await releaseOffer(req, entry);
+      return res.status(409).json({ error: 'A oferta expirou e foi passada ao próximo da lista.' });
+    }
+
+    const Appointment = mongoose.model('Appointment');
+    const appointment = new Appointment({
+      specialty: entry.specialty,
+      comments: entry.notes,
+      date: entry.offer.date,
+      duration: entry.offer.duration,
+      student: entry.student,
+      professional: entry.offer.professional,
+    });
+
+    const conflicts = await findConflicts(appointment);
+    if (conflicts.length > 0) {
+      await releaseOffer(req, entry);
+      return res.status(409).json({ error: 'O horário oferecido não está mais livre.', conflicts });
+    }
+
+    await appointment.save();
+    await recordAudit(req, { entityType: 'appointments', action: 'create', after: appointment });
+
+    const before = entry.toJSON();
+    entry.status = 'scheduled';
+    entry.appointment = appointment._id;
+    await entry.save();
+    await recordAudit(req, { entityType: 'waitlist', action: 'update', before, after: entry });
+
+    res.status(201).json(appointment);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /waitlist/{id}/decline:
+ *   post:
+ *     summary: Recusa o horário oferecido (a entrada volta a aguardar e a vaga segue para o próximo)
+ *     tags: [Lista de espera]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da entrada
+ *     responses:
+ *       200:
+ *         description: Oferta recusada; retorna a entrada e quem recebeu a vaga
+ *       400:
+ *         description: Entrada sem oferta pendente
+ *       404:
+ *         description: Entrada não encontrada
+ */
+router.post('/:id/decline', async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Entrada da lista de espera não encontrada' });
+    }
+    if (entry.status !== 'offered' || !entry.offer) {
+      return res.status(400).json({ error: 'Esta entrada não possui oferta pendente.' });
+    }
+
+    const next = await releaseOffer(req, entry);
+    res.status(200).json({ entry, offeredTo: next ? next._id : null });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /waitlist/{id}:
+ *   delete:
+ *     summary: Remove um estudante da lista de espera
+ *     tags: [Lista de espera]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da entrada
+ *     responses:
+ *       204:
+ *         description: Entrada removida
+ *       404:
+ *         description: Entrada não encontrada
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deletedEntry = await WaitlistEntry.findByIdAndDelete(req.params.id);
+    if (!deletedEntry) {
+      return res.status(404).json({ error: 'Entrada da lista de espera não encontrada' });
+    }
+    await recordAudit(req, { entityType: 'waitlist', action: 'delete', before: deletedEntry });
+
+    // Oferta pendente volta para a fila
+    if (deletedEntry.status === 'offered' && deletedEntry.offer) {
+      await offerSlot(req, deletedEntry.offer);
+    }
+    res.status(204).send();
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const connectDB = require('../db/db');
+const { escapeRegex } = require('../utils/regex');
+
+// Migração: troca os nomes em texto de appointments.student/professional pelos IDs
+// dos cadastros em students e prof-saude. Nomes sem correspondência única vão para
+// legacy_student/legacy_professional (o campo de referência é removido, pois não aceita
+// texto) e são listados no relatório final para correção.
+//
+// Uso: npm run migrate:appointments
+
+// Procura um único documento com o nome exato (ignorando maiúsculas e espaços nas pontas)
+const resolveName = async (collection, name, cache) => {
+  const key = name.trim().toLowerCase();
+  if (!cache.has(key)) {
+    const matches = await collection
+      .find({ name: { $regex: `^\\s*${escapeRegex(name.trim())}\\s*$`, $options: 'i' } })
+      .project({ _id: 1 })
+      .limit(2)
+      .toArray();
+    cache.set(key, matches.length === 1 ? matches[0]._id : null);
+  }
+  return cache.get(key);
+};
+
+const migrate = async () => {
+  const db = mongoose.connection.db;
+  const appointments = db.collection('appointments');
+  const targets = [
+    { field: 'student', collection: db.collection('students'), cache: new Map() },
+    { field: 'professional', collection: db.collection('prof-saude'), cache: new Map() },
+  ];
+
+  const report = { total: 0, updated: 0, unresolved: [] };
+
+  // Apenas agendamentos que ainda guardam algum nome em texto
+  const cursor = appointments.find({
+    $or: [{ student: { $type: 'string' } }, { professional: { $type: 'string' } }],
+  });
+
+  for await (const appointment of cursor) {
+    report.total += 1;
+    const $set = {};
+    const $unset = {};
+
+    for (const { field, collection, cache } of targets) {
+      const value = appointment[field];
+      if (typeof value !== 'string') continue;
+
+      // IDs já gravados como texto só precisam ser convertidos
+      const id = /^[0-9a-f]{24}$/i.test(value)
+        ? new mongoose.Types.ObjectId(value)
+        : await resolveName(collection, value, cache);
+
+      if (id) {
+        $set[field] = id;
+      } else {
+        $set[`legacy_${field}`] = value;
+        $unset[field] = '';
+        report.unresolved.push({ appointment: appointment._id.toString(), field, name: value });
+      }
+    }
+
+    const update = { $set };
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+    await appointments.updateOne({ _id: appointment._id }, update);
+    report.updated += 1;
+  }
+
+  return report;
+};
+
+const run = async () => {
+  await connectDB();
+  try {
+    const report = await migrate();
+    console.log(`Agendamentos analisados: ${report.total}`);
+    console.log(`Agendamentos atualizados: ${report.updated}`);
+    if (report.unresolved.length === 0) {
+      console.log('Todos os nomes foram associados a um cadastro.');
+    } else {
+      console.log(`Nomes não resolvidos, guardados em legacy_student/legacy_professional (${report.unresolved.length}):`);
+      console.table(report.unresolved);
+    }
+  } catch (err) {
+    console.error('Erro na migração:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
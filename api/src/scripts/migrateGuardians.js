@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const connectDB = require('../db/db');
+const { escapeRegex } = require('../utils/regex');
+
+// Migração: cria responsáveis em guardians a partir de students.parents (texto livre,
+// ex. "Bandit Heeler e Chilli Heeler") e vincula ao estudante. O telefone do estudante
+// vai para o primeiro nome, marcado como responsável legal e contato de emergência.
+// Um responsável já cadastrado só é reaproveitado se tiver o mesmo nome e telefone, ou se
+// já estiver vinculado a um irmão (estudante com o mesmo texto em parents ou o mesmo
+// telefone); nomes iguais de famílias diferentes viram cadastros separados. O parentesco
+// fica como "other" e deve ser revisado em /students/{id}/guardians.
+//
+// Textos separados por " e " em que algum dos nomes fica com uma palavra só (ex. "Ana
+// Pereira e Silva", sobrenome composto) não são divididos: o estudante fica no relatório
+// para cadastro manual.
+//
+// Uso: npm run migrate:guardians
+
+// Separadores sem ambiguidade; " e " é tratado à parte por aparecer em sobrenomes
+const SEPARATORS = /,|;|\/|\s*&\s*/;
+
+// Devolve { names } ou { ambiguous: true } quando a divisão por " e " não é segura
+const splitNames = (text) => {
+  const names = [];
+  for (const part of text.split(SEPARATORS).map((item) => item.trim()).filter(Boolean)) {
+    const pieces = part.split(/\s+e\s+/i).map((item) => item.trim()).filter(Boolean);
+    if (pieces.length > 1 && pieces.some((piece) => piece.split(/\s+/).length < 2)) {
+      return { ambiguous: true };
+    }
+    names.push(...pieces);
+  }
+  return { names };
+};
+
+// Responsáveis já vinculados a irmãos: estudantes com o mesmo texto em parents ou o mesmo telefone
+const siblingGuardians = async (students, student, phone) => {
+  const family = [{ parents: student.parents }];
+  if (phone) family.push({ phone_number: phone });
+
+  const siblings = await students
+    .find({ _id: { $ne: student._id }, $or: family, 'guardians.0': { $exists: true } })
+    .project({ guardians: 1 })
+    .toArray();
+  return siblings.flatMap((sibling) => sibling.guardians.map((link) => link.guardian));
+};
+
+// Reaproveita um responsável com o mesmo nome e telefone, ou com o mesmo nome entre os
+// responsáveis dos irmãos; caso contrário, cria um novo
+const findOrCreateGuardian = async (guardians, name, phone, siblings, report) => {
+  const byName = { name: { $regex: `^\\s*${escapeRegex(name)}\\s*$`, $options: 'i' } };
+
+  const existing =
+    (phone && (await guardians.findOne({ ...byName, 'phones.number': phone }))) ||
+    (siblings.length > 0 && (await guardians.findOne({ ...byName, _id: { $in: siblings } })));
+  if (existing) return existing._id;
+
+  const now = new Date();
+  const { insertedId } = await guardians.insertOne({
+    name,
+    phones: phone ? [{ number: phone, type: 'mobile', whatsapp: false }] : [],
+    emails: [],
+    status: 'on',
+    createdAt: now,
+    updatedAt: now,
+  });
+  report.created += 1;
+  return insertedId;
+};
+
+const migrate = async () => {
+  const db = mongoose.connection.db;
+  const students = db.collection('students');
+  const guardians = db.collection('guardians');
+
+  const report = { total: 0, updated: 0, created: 0, skipped: [], ambiguous: [] };
+
+  // Apenas estudantes com texto e ainda sem responsáveis vinculados
+  const cursor = students.find({
+    parents: { $type: 'string', $ne: '' },
+    'guardians.0': { $exists: false },
+  });
+
+  for await (const student of cursor) {
+    report.total += 1;
+    const { names, ambiguous } = splitNames(student.parents);
+    if (ambiguous) {
+      report.ambiguous.push({ student: student._id.toString(), name: student.name, parents: student.parents });
+      continue;
+    }
+    if (names.length === 0) {
+      report.skipped.push({ student: student._id.toString(), name: student.name, parents: student.parents });
+      continue;
+    }
+
+    const studentPhone = (student.phone_number || '').trim();
+    const siblings = await siblingGuardians(students, student, studentPhone);
+
+    const links = [];
+    for (const [index, name] of names.entries()) {
+      const phone = index === 0 ? studentPhone : '';
+      const guardian = await findOrCreateGuardian(guardians, name, phone, siblings, report);
+      if (!links.some((link) => link.guardian.equals(guardian))) {
+        links.push({
+          guardian,
+          relationship: 'other',
+          legal_guardian: index === 0,
+          emergency_contact: index === 0,
+        });
+      }
+    }
+
+    await students.updateOne({ _id: student._id }, { $set: { guardians: links } });
+    report.updated += 1;
+  }
+
+  return report;
+};
+
+const run = async () => {
+  await connectDB();
+  try {
+    const report = await migrate();
+    console.log(`Estudantes analisados: ${report.total}`);
+    console.log(`Estudantes atualizados: ${report.updated}`);
+    console.log(`Responsáveis criados: ${report.created}`);
+    if (report.skipped.length > 0) {
+      console.log(`Estudantes sem nomes reconhecidos (${report.skipped.length}):`);
+      console.table(report.skipped);
+    }
+    if (report.ambiguous.length > 0) {
+      console.log(`Estudantes com nomes que não puderam ser separados com segurança (${report.ambiguous.length}):`);
+      console.table(report.ambiguous);
+    }
+  } catch (err) {
+    console.error('Erro na migração:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
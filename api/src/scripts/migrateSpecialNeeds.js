@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const connectDB = require('../db/db');
+const { escapeRegex } = require('../utils/regex');
+
+// Migração: vincula students.special_needs (texto livre) às condições do catálogo em
+// conditions. Cada trecho separado por vírgula, ponto e vírgula ou barra é comparado com o
+// nome ou o código CID das condições; o texto original é mantido em special_needs e os
+// trechos sem correspondência são listados no relatório final.
+//
+// Cadastre o catálogo antes (POST /conditions). Uso: npm run migrate:special-needs
+
+const splitNeeds = (text) =>
+  text
+    .split(/[,;/]/)
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+// Procura uma única condição pelo nome exato ou pelo código CID (ignorando maiúsculas)
+const resolveCondition = async (collection, part, cache) => {
+  const key = part.toLowerCase();
+  if (!cache.has(key)) {
+    const code = part.toUpperCase();
+    const matches = await collection
+      .find({
+        $or: [
+          { name: { $regex: `^\\s*${escapeRegex(part)}\\s*$`, $options: 'i' } },
+          { cid10: code },
+          { cid11: code },
+        ],
+      })
+      .project({ _id: 1 })
+      .limit(2)
+      .toArray();
+    cache.set(key, matches.length === 1 ? matches[0]._id : null);
+  }
+  return cache.get(key);
+};
+
+const migrate = async () => {
+  const db = mongoose.connection.db;
+  const students = db.collection('students');
+  const conditions = db.collection('conditions');
+  const cache = new Map();
+
+  const report = { total: 0, updated: 0, unresolved: [] };
+
+  // Apenas estudantes com texto e ainda sem condições vinculadas
+  const cursor = students.find({
+    special_needs: { $type: 'string', $ne: '' },
+    'conditions.0': { $exists: false },
+  });
+
+  for await (const student of cursor) {
+    report.total += 1;
+    const linked = [];
+
+    for (const part of splitNeeds(student.special_needs)) {
+      const id = await resolveCondition(conditions, part, cache);
+      if (id && !linked.some((entry) => entry.condition.equals(id))) {
+        linked.push({ condition: id });
+      } else if (!id) {
+        report.unresolved.push({ student: student._id.toString(), name: student.name, text: part });
+      }
+    }
+
+    if (linked.length > 0) {
+      await students.updateOne({ _id: student._id }, { $set: { conditions: linked } });
+      report.updated += 1;
+    }
+  }
+
+  return report;
+};
+
+const run = async () => {
+  await connectDB();
+  try {
+    const report = await migrate();
+    console.log(`Estudantes analisados: ${report.total}`);
+    console.log(`Estudantes atualizados: ${report.updated}`);
+    if (report.unresolved.length === 0) {
+      console.log('Todos os textos foram associados a uma condição.');
+    } else {
+      console.log(`Textos não resolvidos (${report.unresolved.length}):`);
+      console.table(report.unresolved);
+    }
+  } catch (err) {
+    console.error('Erro na migração:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const connectDB = require('../db/db');
+const { specialtyKey } = require('../utils/specialties');
+
+// Migração: cria o catálogo de especialidades (specialties) com as especialidades mais comuns
+// e vincula prof-saude.specialty (texto livre) a ele. Textos sem correspondência no catálogo
+// viram especialidades novas, listadas no relatório para revisão em /specialties. Por fim, a
+// especialidade de agendamentos, séries e lista de espera passa a usar o nome do catálogo.
+//
+// Uso: npm run migrate:specialties
+
+const SEED = [
+  { name: 'Fisioterapia', council: 'CREFITO', aliases: ['Fisioterapeuta'] },
+  { name: 'Terapia Ocupacional', council: 'CREFITO', aliases: ['Terapeuta Ocupacional', 'TO'] },
+  { name: 'Fonoaudiologia', council: 'CRFa', aliases: ['Fonoaudiólogo', 'Fonoaudióloga', 'Fono'] },
+  { name: 'Psicologia', council: 'CRP', aliases: ['Psicólogo', 'Psicóloga'] },
+  { name: 'Psicopedagogia', aliases: ['Psicopedagogo', 'Psicopedagoga'] },
+  { name: 'Nutrição', council: 'CRN', aliases: ['Nutricionista'] },
+  { name: 'Neurologia', council: 'CRM', aliases: ['Neurologista', 'Neuropediatra', 'Neuropediatria'] },
+  { name: 'Pediatria', council: 'CRM', aliases: ['Pediatra'] },
+  { name: 'Psiquiatria', council: 'CRM', aliases: ['Psiquiatra'] },
+  { name: 'Enfermagem', council: 'COREN', aliases: ['Enfermeiro', 'Enfermeira'] },
+  { name: 'Serviço Social', council: 'CRESS', aliases: ['Assistente Social'] },
+  { name: 'Educação Física', council: 'CREF', aliases: ['Educador Físico', 'Profissional de Educação Física'] },
+  { name: 'Musicoterapia', aliases: ['Musicoterapeuta'] },
+];
+
+// Mesmo cálculo de key e alias_keys feito pelo modelo em routes/specialtiesRoutes.js
+const specialtyDocument = ({ name, council, aliases = [] }) => {
+  const key = specialtyKey(name);
+  const now = new Date();
+  return {
+    name,
+    aliases,
+    council,
+    status: 'on',
+    key,
+    alias_keys: [...new Set(aliases.map(specialtyKey))].filter((aliasKey) => aliasKey !== key),
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+const findByText = (specialties, text) => {
+  const key = specialtyKey(text);
+  return specialties.findOne({ $or: [{ key }, { alias_keys: key }] });
+};
+
+const seedCatalogue = async (specialties, report) => {
+  for (const entry of SEED) {
+    if (await findByText(specialties, entry.name)) continue;
+    await specialties.insertOne(specialtyDocument(entry));
+    report.seeded += 1;
+  }
+};
+
+// Texto livre -> especialidade do catálogo, criando uma nova quando não houver correspondência
+const resolveText = async (specialties, text, report) => {
+  const found = await findByText(specialties, text);
+  if (found) return found;
+
+  const document = specialtyDocument({ name: text.trim() });
+  const { insertedId } = await specialties.insertOne(document);
+  report.created.push({ specialty: document.name });
+  return { ...document, _id: insertedId };
+};
+
+// Troca cada grafia encontrada em "specialty" pelo nome do catálogo
+const normalizeCollection = async (collection, specialties, report) => {
+  for (const text of await collection.distinct('specialty')) {
+    if (typeof text !== 'string' || !text.trim()) continue;
+    const found = await findByText(specialties, text);
+    if (!found) {
+      report.unresolved.push({ collection: collection.collectionName, text });
+    } else if (found.name !== text) {
+      const { modifiedCount } = await collection.updateMany({ specialty: text }, { $set: { specialty: found.name } });
+      report.normalized += modifiedCount;
+    }
+  }
+};
+
+const migrate = async () => {
+  const db = mongoose.connection.db;
+  const specialties = db.collection('specialties');
+  const professionals = db.collection('prof-saude');
+
+  const report = { seeded: 0, total: 0, updated: 0, created: [], normalized: 0, unresolved: [] };
+  await seedCatalogue(specialties, report);
+
+  // Apenas profissionais com texto e ainda sem especialidades vinculadas
+  const cursor = professionals.find({
+    specialty: { $type: 'string', $ne: '' },
+    'specialties.0': { $exists: false },
+  });
+
+  for await (const professional of cursor) {
+    report.total += 1;
+    const specialty = await resolveText(specialties, professional.specialty, report);
+    await professionals.updateOne(
+      { _id: professional._id },
+      { $set: { specialties: [specialty._id], specialty: specialty.name } }
+    );
+    report.updated += 1;
+  }
+
+  for (const name of ['appointments', 'appointment-series', 'waitlist']) {
+    await normalizeCollection(db.collection(name), specialties, report);
+  }
+
+  return report;
+};
+
+const run = async () => {
+  await connectDB();
+  try {
+    const report = await migrate();
+    console.log(`Especialidades incluídas no catálogo: ${report.seeded}`);
+    console.log(`Profissionais analisados: ${report.total}`);
+    console.log(`Profissionais atualizados: ${report.updated}`);
+    console.log(`Registros com a grafia do catálogo: ${report.normalized}`);
+    if (report.created.length > 0) {
+      console.log(`Especialidades criadas a partir do texto dos profissionais (${report.created.length}):`);
+      console.table(report.created);
+    }
+    if (report.unresolved.length > 0) {
+      console.log(`Textos sem especialidade no catálogo (${report.unresolved.length}):`);
+      console.table(report.unresolved);
+    }
+  } catch (err) {
+    console.error('Erro na migração:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const connectDB = require('../db/db');
+
+// Migração: gera o hash bcrypt das senhas ainda gravadas em texto puro em users.pwd, para que
+// esses usuários voltem a entrar depois da troca para senhas com hash. Senhas que já são hash
+// bcrypt ficam como estão, então a migração pode ser executada mais de uma vez.
+//
+// Uso: npm run migrate:passwords
+
+// Mesmo custo usado pelo modelo em routes/usersRoutes.js
+const SALT_ROUNDS = 10;
+
+const BCRYPT_HASH = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+const migrate = async () => {
+  const users = mongoose.connection.db.collection('users');
+  const report = { total: 0, updated: 0, empty: [] };
+
+  const cursor = users.find({ pwd: { $exists: true } }, { projection: { user: 1, pwd: 1 } });
+
+  for await (const user of cursor) {
+    report.total += 1;
+    if (typeof user.pwd === 'string' && BCRYPT_HASH.test(user.pwd)) continue;
+
+    if (typeof user.pwd !== 'string' || user.pwd === '') {
+      report.empty.push({ user: user.user, _id: user._id.toString() });
+      continue;
+    }
+
+    const pwd = await bcrypt.hash(user.pwd, SALT_ROUNDS);
+    await users.updateOne({ _id: user._id, pwd: user.pwd }, { $set: { pwd } });
+    report.updated += 1;
+  }
+
+  return report;
+};
+
+const run = async () => {
+  await connectDB();
+  try {
+    const report = await migrate();
+    console.log(`Usuários analisados: ${report.total}`);
+    console.log(`Senhas convertidas para hash: ${report.updated}`);
+    if (report.empty.length > 0) {
+      console.log(`Usuários sem senha válida, que precisam de uma nova senha (${report.empty.length}):`);
+      console.table(report.empty);
+    }
+  } catch (err) {
+    console.error('Erro na migração:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
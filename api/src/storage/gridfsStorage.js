@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Armazena os arquivos no próprio MongoDB (GridFS), no bucket informado
+const createGridfsStorage = ({ bucketName = 'documents' } = {}) => {
+  // O bucket é criado no primeiro uso, depois que a conexão com o banco está aberta
+  let bucket;
+  const getBucket = () => {
+    if (!bucket) {
+      bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+    }
+    return bucket;
+  };
+
+  return {
+    name: 'gridfs',
+
+    // Grava o conteúdo e devolve a chave para leitura e remoção
+    save: ({ buffer, filename, contentType }) =>
+      new Promise((resolve, reject) => {
+        const upload = getBucket().openUploadStream(filename, { metadata: { contentType } });
+        upload.once('error', reject);
+        upload.once('finish', () => resolve(upload.id.toString()));
+        upload.end(buffer);
+      }),
+
+    open: (key) => getBucket().openDownloadStream(new mongoose.Types.ObjectId(key)),
+
+    remove: async (key) => {
+      try {
+        await getBucket().delete(new mongoose.Types.ObjectId(key));
+      } catch (err) {
+        // Arquivo já ausente não impede a remoção do registro
+        if (!/File not found/i.test(err.message)) throw err;
+      }
+    },
+  };
+};
+
+module.exports = createGridfsStorage;
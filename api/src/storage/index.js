@@ -0,0 +1,23 @@
+const createGridfsStorage = require('./gridfsStorage');
+const createLocalStorage = require('./localStorage');
+
+// Fábricas dos armazenamentos de arquivos; novos adaptadores só precisam ser registrados aqui
+const FACTORIES = {
+  gridfs: () => createGridfsStorage({ bucketName: process.env.DOCUMENT_GRIDFS_BUCKET || 'documents' }),
+  local: () => createLocalStorage({ dir: process.env.DOCUMENT_STORAGE_DIR || './uploads' }),
+};
+
+const instances = new Map();
+
+// Armazenamento pelo nome; sem nome, o configurado em DOCUMENT_STORAGE (padrão: gridfs).
+// Documentos guardam o nome do armazenamento usado, então trocar a configuração não
+// impede a leitura dos arquivos antigos.
+const getStorage = (name = process.env.DOCUMENT_STORAGE || 'gridfs') => {
+  if (!FACTORIES[name]) {
+    throw new Error(`Armazenamento de arquivos desconhecido: ${name}`);
+  }
+  if (!instances.has(name)) instances.set(name, FACTORIES[name]());
+  return instances.get(name);
+};
+
+module.exports = { getStorage };
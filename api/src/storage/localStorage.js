@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const KEY_FORMAT = /^[0-9a-f-]{36}$/i;
+
+// Armazena os arquivos em uma pasta local; o nome em disco é um UUID, nunca o enviado
+const createLocalStorage = ({ dir }) => {
+  const root = path.resolve(dir);
+
+  const pathFor = (key) => {
+    if (!KEY_FORMAT.test(key)) throw new Error('Chave de arquivo inválida.');
+    return path.join(root, key);
+  };
+
+  return {
+    name: 'local',
+
+    save: async ({ buffer }) => {
+      await fs.promises.mkdir(root, { recursive: true });
+      const key = uuidv4();
+      await fs.promises.writeFile(pathFor(key), buffer, { flag: 'wx' });
+      return key;
+    },
+
+    open: (key) => fs.createReadStream(pathFor(key)),
+
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(pathFor(key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    },
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,50 @@
+// Ciclo de vida dos agendamentos: scheduled -> confirmed -> completed / cancelled / no-show
+const STATUSES = ['scheduled', 'confirmed', 'completed', 'cancelled', 'no-show'];
+
+// Transições permitidas a partir de cada status (os três últimos são finais)
+const TRANSITIONS = {
+  scheduled: ['confirmed', 'cancelled', 'no-show'],
+  confirmed: ['completed', 'cancelled', 'no-show'],
+  completed: [],
+  cancelled: [],
+  'no-show': [],
+};
+
+// Status que ainda ocupam a agenda do profissional e do estudante
+const ACTIVE_STATUSES = ['scheduled', 'confirmed'];
+
+// Códigos de motivo aceitos no cancelamento
+const CANCELLATION_REASONS = [
+  'family_request', // pedido da família
+  'student_illness', // estudante doente
+  'professional_unavailable', // profissional indisponível
+  'school_event', // evento ou feriado escolar
+  'rescheduled', // remarcado para outra data
+  'other', // outro (detalhar em "note")
+];
+
+// Filtro de status ativo; agendamentos antigos sem status contam como "scheduled"
+const activeStatusFilter = { status: { $in: [...ACTIVE_STATUSES, null] } };
+
+// Valida a transição; devolve a mensagem de erro ou null
+const validateTransition = (current, next, reason) => {
+  if (!STATUSES.includes(next)) {
+    return `Status "${next}" inválido. Valores aceitos: ${STATUSES.join(', ')}.`;
+  }
+  if (!TRANSITIONS[current || 'scheduled'].includes(next)) {
+    return `Transição de "${current || 'scheduled'}" para "${next}" não é permitida.`;
+  }
+  if (next === 'cancelled' && !CANCELLATION_REASONS.includes(reason)) {
+    return `Cancelamento exige "reason" com um dos códigos: ${CANCELLATION_REASONS.join(', ')}.`;
+  }
+  return null;
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  ACTIVE_STATUSES,
+  CANCELLATION_REASONS,
+  activeStatusFilter,
+  validateTransition,
+};
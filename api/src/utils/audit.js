@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Converte um documento em objeto simples (aplica o toJSON, ex.: remove a senha)
+const snapshot = (doc) => {
+  if (!doc) return null;
+  return typeof doc.toJSON === 'function' ? doc.toJSON() : doc;
+};
+
+// Registra uma alteração na trilha de auditoria (modelo em routes/auditRoutes.js).
+// Falhas de auditoria são apenas logadas para não desfazer a operação já concluída.
+const recordAudit = async (req, { entityType, entityId, action, before, after }) => {
+  try {
+    const AuditLog = mongoose.model('AuditLog');
+    await AuditLog.create({
+      actor: req.user ? req.user._id : undefined,
+      actorName: req.user ? req.user.user : undefined,
+      entityType,
+      entityId: entityId || (after && after._id) || (before && before._id),
+      action,
+      before: snapshot(before),
+      after: snapshot(after),
+    });
+  } catch (err) {
+    console.error('Erro ao registrar auditoria:', err.message);
+  }
+};
+
+module.exports = { recordAudit };
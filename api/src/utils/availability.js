@@ -0,0 +1,80 @@
+const moment = require('moment');
+const { DEFAULT_DURATION } = require('./scheduling');
+
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Duração aceita para cada horário livre, em minutos inteiros
+const MIN_SLOT_DURATION = 5;
+const MAX_SLOT_DURATION = 480;
+
+const isValidSlotDuration = (duration) =>
+  Number.isInteger(duration) && duration >= MIN_SLOT_DURATION && duration <= MAX_SLOT_DURATION;
+
+// Converte "HH:mm" do dia informado em um moment
+const atTime = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return day.clone().hours(hours).minutes(minutes).seconds(0).milliseconds(0);
+};
+
+// Janelas de atendimento do profissional em um dia, já aplicadas as exceções
+const windowsForDay = (professional, day) => {
+  const dateKey = day.format('YYYY-MM-DD');
+  const exceptions = (professional.availability_exceptions || []).filter((e) => e.date === dateKey);
+
+  // Folga no dia inteiro
+  if (exceptions.some((e) => !e.available && !e.start)) return { windows: [], blocked: [] };
+
+  const windows = (professional.availability || [])
+    .filter((w) => w.weekday === day.day())
+    .concat(exceptions.filter((e) => e.available && e.start && e.end))
+    .map((w) => ({ start: atTime(day, w.start), end: atTime(day, w.end) }));
+
+  const blocked = exceptions
+    .filter((e) => !e.available && e.start && e.end)
+    .map((e) => ({ start: atTime(day, e.start), end: atTime(day, e.end) }));
+
+  return { windows, blocked };
+};
+
+const overlaps = (a, b) => a.start.isBefore(b.end) && a.end.isAfter(b.start);
+
+// Horários livres de um profissional entre "from" e "to" (moments), com slots de "duration"
+// minutos, descontando exceções e os agendamentos já existentes.
+const computeFreeSlots = (professional, appointments, from, to, duration = DEFAULT_DURATION) => {
+  if (!isValidSlotDuration(duration)) {
+    throw new Error(`A duração deve ser um número inteiro de minutos entre ${MIN_SLOT_DURATION} e ${MAX_SLOT_DURATION}.`);
+  }
+  const busy = appointments.map((a) => ({
+    start: moment(a.date),
+    end: moment(a.date).add(a.duration || DEFAULT_DURATION, 'minutes'),
+  }));
+  const now = moment();
+  const slots = [];
+
+  for (const day = from.clone().startOf('day'); day.isSameOrBefore(to); day.add(1, 'day')) {
+    const { windows, blocked } = windowsForDay(professional, day);
+
+    for (const window of windows) {
+      for (
+        let start = window.start.clone();
+        !start.clone().add(duration, 'minutes').isAfter(window.end);
+        start.add(duration, 'minutes')
+      ) {
+        const slot = { start: start.clone(), end: start.clone().add(duration, 'minutes') };
+        if (slot.start.isBefore(from) || slot.end.isAfter(to) || slot.start.isBefore(now)) continue;
+        if (blocked.some((b) => overlaps(slot, b)) || busy.some((b) => overlaps(slot, b))) continue;
+        slots.push({ start: slot.start.toDate(), end: slot.end.toDate() });
+      }
+    }
+  }
+
+  return slots.sort((a, b) => a.start - b.start);
+};
+
+module.exports = {
+  TIME_FORMAT,
+  MIN_SLOT_DURATION,
+  MAX_SLOT_DURATION,
+  isValidSlotDuration,
+  computeFreeSlots,
+};
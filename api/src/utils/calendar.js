@@ -0,0 +1,97 @@
+const { schoolTime } = require('./dateRange');
+const { DEFAULT_DURATION } = require('./scheduling');
+
+// Eventos não têm duração cadastrada; nas agendas aparecem com 1 hora
+const EVENT_DURATION = 60;
+
+// Tipos de item da agenda unificada
+const ENTRY_TYPES = ['event', 'appointment'];
+
+// Formato da chave de cada agrupamento (o mesmo aceito em date, week e month nas buscas)
+const GROUP_FORMATS = {
+  day: { unit: 'day', format: 'YYYY-MM-DD' },
+  week: { unit: 'isoWeek', format: 'GGGG-[W]WW' },
+  month: { unit: 'month', format: 'YYYY-MM' },
+};
+
+const personRef = (person, legacyName) => {
+  if (person && person.name !== undefined) return { id: person._id, name: person.name };
+  if (person) return { id: person, name: null };
+  return legacyName ? { id: null, name: legacyName } : null;
+};
+
+// Evento no formato comum da agenda
+const eventEntry = (event) => {
+  const participants = event.participants || [];
+  return {
+    type: 'event',
+    id: event._id,
+    title: event.description,
+    notes: event.comment,
+    start: event.date,
+    end: schoolTime(event.date).add(EVENT_DURATION, 'minutes').toDate(),
+    status: null,
+    participants: {
+      invited: participants.length,
+      confirmed: participants.filter((p) => p.rsvp === 'yes').length,
+    },
+  };
+};
+
+// Agendamento no formato comum da agenda (student e professional populados com "name")
+const appointmentEntry = (appointment) => {
+  const student = personRef(appointment.student, appointment.legacy_student);
+  const professional = personRef(appointment.professional, appointment.legacy_professional);
+
+  return {
+    type: 'appointment',
+    id: appointment._id,
+    title: [appointment.specialty, student && student.name].filter(Boolean).join(' - '),
+    notes: appointment.comments,
+    start: appointment.date,
+    end: schoolTime(appointment.date)
+      .add(appointment.duration || DEFAULT_DURATION, 'minutes')
+      .toDate(),
+    status: appointment.status || 'scheduled',
+    student,
+    professional,
+    series: appointment.series || null,
+  };
+};
+
+// Junta os itens em ordem de início (eventos antes de agendamentos no mesmo horário)
+const mergeEntries = (...lists) =>
+  [].concat(...lists).sort(
+    (a, b) =>
+      new Date(a.start) - new Date(b.start) ||
+      ENTRY_TYPES.indexOf(a.type) - ENTRY_TYPES.indexOf(b.type)
+  );
+
+// Agrupa itens já ordenados por dia, semana ISO ou mês no fuso da escola
+const groupEntries = (entries, group) => {
+  const { unit, format } = GROUP_FORMATS[group];
+  const groups = [];
+
+  for (const entry of entries) {
+    const start = schoolTime(entry.start).startOf(unit);
+    const key = start.format(format);
+    let current = groups[groups.length - 1];
+    if (!current || current.key !== key) {
+      current = { key, start: start.toDate(), end: start.clone().endOf(unit).toDate(), items: [] };
+      groups.push(current);
+    }
+    current.items.push(entry);
+  }
+
+  return groups;
+};
+
+module.exports = {
+  EVENT_DURATION,
+  ENTRY_TYPES,
+  GROUP_FORMATS,
+  eventEntry,
+  appointmentEntry,
+  mergeEntries,
+  groupEntries,
+};
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { schoolTime } = require('./dateRange');
+
+// Turnos das turmas e dos horários de aula dos professores
+const SHIFTS = ['morning', 'afternoon', 'evening', 'full'];
+
+// Ano letivo do parâmetro ?school_year= ou, sem ele, o ano corrente no fuso da escola
+const schoolYearOf = (value) => (value ? Number(value) : schoolTime().year());
+
+const classRef = (schoolClass) => ({
+  id: schoolClass._id,
+  name: schoolClass.name,
+  school_year: schoolClass.school_year,
+});
+
+// Papéis do professor na turma: regente e/ou disciplinas que leciona
+const teacherRoles = (schoolClass, teacherId) => {
+  const roles = [];
+  if (schoolClass.homeroom_teacher && schoolClass.homeroom_teacher.equals(teacherId)) {
+    roles.push({ role: 'homeroom', subject: null });
+  }
+  for (const entry of schoolClass.subject_teachers) {
+    if (entry.teacher.equals(teacherId)) roles.push({ role: 'subject', subject: entry.subject });
+  }
+  return roles;
+};
+
+// Estudantes com matrícula ativa nas turmas do professor (modelos em routes/classesRoutes.js)
+const studentsOfTeacher = async (teacherId, schoolYear) => {
+  const classes = await mongoose.model('SchoolClass').find({
+    school_year: schoolYear,
+    $or: [{ homeroom_teacher: teacherId }, { 'subject_teachers.teacher': teacherId }],
+  });
+  const classesById = new Map(classes.map((schoolClass) => [schoolClass._id.toString(), schoolClass]));
+
+  const enrollments = await mongoose
+    .model('Enrollment')
+    .find({ class: { $in: classes.map((schoolClass) => schoolClass._id) }, status: 'active' })
+    .populate('student', 'name status');
+
+  const byStudent = new Map();
+  for (const enrollment of enrollments) {
+    if (!enrollment.student) continue;
+    const key = enrollment.student._id.toString();
+    if (!byStudent.has(key)) {
+      byStudent.set(key, {
+        student: { id: enrollment.student._id, name: enrollment.student.name },
+        classes: [],
+      });
+    }
+    const schoolClass = classesById.get(enrollment.class.toString());
+    byStudent.get(key).classes.push({ ...classRef(schoolClass), roles: teacherRoles(schoolClass, teacherId) });
+  }
+
+  return [...byStudent.values()].sort((a, b) => String(a.student.name).localeCompare(b.student.name));
+};
+
+// Professores das turmas em que o estudante tem matrícula ativa
+const teachersOfStudent = async (studentId, schoolYear) => {
+  const enrollments = await mongoose
+    .model('Enrollment')
+    .find({ student: studentId, status: 'active' })
+    .populate({ path: 'class', match: { school_year: schoolYear } });
+
+  const result = [];
+  for (const { class: schoolClass } of enrollments) {
+    if (!schoolClass) continue;
+    const entries = [
+      ...(schoolClass.homeroom_teacher ? [{ teacher: schoolClass.homeroom_teacher, role: 'homeroom' }] : []),
+      ...schoolClass.subject_teachers.map(({ teacher, subject }) => ({ teacher, role: 'subject', subject })),
+    ];
+    const teachers = await mongoose
+      .model('Teacher')
+      .find({ _id: { $in: entries.map((entry) => entry.teacher) } }, 'name subject email');
+    const byId = new Map(teachers.map((teacher) => [teacher._id.toString(), teacher]));
+
+    for (const entry of entries) {
+      const teacher = byId.get(entry.teacher.toString());
+      if (!teacher) continue;
+      result.push({
+        teacher: { id: teacher._id, name: teacher.name, email: teacher.email },
+        class: classRef(schoolClass),
+        role: entry.role,
+        subject: entry.role === 'subject' ? entry.subject : null,
+      });
+    }
+  }
+  return result;
+};
+
+module.exports = {
+  SHIFTS,
+  schoolYearOf,
+  studentsOfTeacher,
+  teachersOfStudent,
+};
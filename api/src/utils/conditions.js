@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Aceita o ID do catálogo ou um código CID-10/CID-11; devolve o filtro de busca
+const conditionLookup = (value) => {
+  if (/^[0-9a-f]{24}$/i.test(value)) return { _id: value };
+  const code = String(value).trim().toUpperCase();
+  return { $or: [{ cid10: code }, { cid11: code }] };
+};
+
+// Confere as condições vinculadas a um estudante (modelo Condition em routes/conditionsRoutes.js).
+// Devolve a mensagem de erro ou null.
+const validateStudentConditions = async (conditions) => {
+  if (conditions === undefined) return null;
+  if (!Array.isArray(conditions)) return 'Campo "conditions" deve ser uma lista.';
+
+  const ids = conditions.map((entry) => entry && entry.condition);
+  if (ids.some((id) => !mongoose.isValidObjectId(id))) {
+    return 'Cada item de "conditions" precisa de um "condition" com ID válido.';
+  }
+  if (new Set(ids.map(String)).size !== ids.length) {
+    return 'A mesma condição foi informada mais de uma vez.';
+  }
+
+  const found = await mongoose.model('Condition').countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    return 'Condição informada em "conditions" não existe no catálogo.';
+  }
+  return null;
+};
+
+module.exports = {
+  conditionLookup,
+  validateStudentConditions,
+};
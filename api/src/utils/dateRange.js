@@ -0,0 +1,88 @@
+const moment = require('moment-timezone');
+
+// Fuso horário da escola, usado para definir "dia", "semana" e "mês" em todas as buscas
+const SCHOOL_TIMEZONE = process.env.SCHOOL_TIMEZONE || 'America/Sao_Paulo';
+
+if (!moment.tz.zone(SCHOOL_TIMEZONE)) {
+  throw new Error(`SCHOOL_TIMEZONE inválido: ${SCHOOL_TIMEZONE}`);
+}
+
+// moment no fuso da escola (sem argumento = agora)
+const schoolTime = (value) =>
+  value === undefined ? moment.tz(SCHOOL_TIMEZONE) : moment.tz(value, SCHOOL_TIMEZONE);
+
+// Lê uma data YYYY-MM-DD no fuso da escola; devolve null se inválida
+const parseSchoolDate = (value) => {
+  const date = moment.tz(value, 'YYYY-MM-DD', true, SCHOOL_TIMEZONE);
+  return date.isValid() ? date : null;
+};
+
+// Aceita YYYY-MM-DD (dia inteiro) ou data e hora ISO 8601
+const parseBoundary = (value, edge) => {
+  const day = parseSchoolDate(value);
+  if (day) return edge === 'start' ? day.startOf('day') : day.endOf('day');
+
+  const instant = moment.tz(value, moment.ISO_8601, true, SCHOOL_TIMEZONE);
+  return instant.isValid() ? instant : null;
+};
+
+// Interpreta os parâmetros de período de uma busca:
+//   date=YYYY-MM-DD | from=...&to=... | week=YYYY-Www (semana ISO) | month=YYYY-MM
+// Devolve { start, end } (moments; "from" ou "to" podem faltar), { error } ou {} sem período.
+const parseRange = (query) => {
+  const { date, from, to, week, month } = query;
+  const used = [date, from || to, week, month].filter(Boolean).length;
+
+  if (used > 1) {
+    return { error: 'Use apenas um dos filtros de período: "date", "from"/"to", "week" ou "month".' };
+  }
+
+  if (date) {
+    const day = parseSchoolDate(date);
+    if (!day) return { error: 'Parâmetro "date" deve estar no formato YYYY-MM-DD.' };
+    return { start: day.clone().startOf('day'), end: day.clone().endOf('day') };
+  }
+
+  if (week) {
+    const start = moment.tz(week, 'GGGG-[W]WW', true, SCHOOL_TIMEZONE);
+    if (!start.isValid()) return { error: 'Parâmetro "week" deve estar no formato YYYY-Www (ex.: 2024-W10).' };
+    return { start: start.clone().startOf('isoWeek'), end: start.clone().endOf('isoWeek') };
+  }
+
+  if (month) {
+    const start = moment.tz(month, 'YYYY-MM', true, SCHOOL_TIMEZONE);
+    if (!start.isValid()) return { error: 'Parâmetro "month" deve estar no formato YYYY-MM.' };
+    return { start: start.clone().startOf('month'), end: start.clone().endOf('month') };
+  }
+
+  if (from || to) {
+    const start = from ? parseBoundary(from, 'start') : undefined;
+    const end = to ? parseBoundary(to, 'end') : undefined;
+    if (start === null || end === null) {
+      return { error: 'Parâmetros "from" e "to" devem estar no formato YYYY-MM-DD ou ISO 8601.' };
+    }
+    if (start && end && end.isBefore(start)) {
+      return { error: 'Parâmetro "to" deve ser posterior a "from".' };
+    }
+    return { start, end };
+  }
+
+  return {};
+};
+
+// Converte o período em filtro do MongoDB ({ $gte, $lte })
+const rangeFilter = ({ start, end }) => {
+  const filter = {};
+  if (start) filter.$gte = start.toDate();
+  if (end) filter.$lte = end.toDate();
+  return filter;
+};
+
+module.exports = {
+  SCHOOL_TIMEZONE,
+  schoolTime,
+  parseSchoolDate,
+  parseBoundary,
+  parseRange,
+  rangeFilter,
+};
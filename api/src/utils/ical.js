@@ -0,0 +1,77 @@
+// Geração de arquivos iCalendar (RFC 5545) para as assinaturas de agenda
+
+const PRODID = '-//Gestao de Ensino Especial//API trabalho2//PT';
+const UID_DOMAIN = 'trabalho2.api';
+
+// Data em UTC no formato 20240315T140000Z
+const formatDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Escapa os caracteres especiais de campos de texto
+const escapeText = (text) =>
+  String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Quebra linhas com mais de 75 bytes, continuando com um espaço na linha seguinte
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// UID estável por documento: atualizações e remoções chegam às agendas assinantes
+const uidFor = (type, id) => `${type}-${id}@${UID_DOMAIN}`;
+
+// Monta um VEVENT; "item" já vem normalizado pela rota
+const buildEvent = ({ uid, start, end, summary, description, location, status, updatedAt }) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDate(updatedAt || Date.now())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatDate(updatedAt)}`);
+    // Sequência cresce a cada alteração do documento
+    lines.push(`SEQUENCE:${Math.floor(new Date(updatedAt).getTime() / 1000)}`);
+  }
+  if (status) lines.push(`STATUS:${status}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Monta o VCALENDAR completo com os itens informados
+const buildCalendar = (name, items) =>
+  [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...items.flatMap(buildEvent),
+    'END:VCALENDAR',
+  ]
+    .map(foldLine)
+    .join('\r\n') + '\r\n';
+
+module.exports = {
+  uidFor,
+  buildCalendar,
+};
@@ -0,0 +1,128 @@
+const { parsePagination } = require('./pagination');
+const { parseSchoolDate, parseBoundary } = require('./dateRange');
+
+// Parâmetros da própria listagem; os demais são filtros pelos campos do esquema
+const RESERVED = ['page', 'limit', 'sort'];
+
+// Operadores aceitos em campo[op]=valor ("in" recebe valores separados por vírgula).
+// "campo>=valor" e "campo<=valor" chegam como as chaves "campo>" e "campo<".
+const OPERATORS = { eq: '$eq', ne: '$ne', gt: '$gt', gte: '$gte', lt: '$lt', lte: '$lte', in: '$in' };
+
+const isListable = (schema, field, hidden) =>
+  !hidden.includes(field) && schema.pathType(field) !== 'adhocOrUndefined';
+
+// "-date,name" -> { date: -1, name: 1 }, com _id no fim para a ordem das páginas ser estável
+const parseSort = (schema, value, hidden) => {
+  const sort = {};
+  for (const part of String(value).split(',').map((item) => item.trim()).filter(Boolean)) {
+    const field = part.replace(/^[-+]/, '');
+    if (!isListable(schema, field, hidden)) {
+      return { error: `Campo "${field}" não pode ser usado na ordenação.` };
+    }
+    sort[field] = part.startsWith('-') ? -1 : 1;
+  }
+  return { sort: { ...sort, _id: sort._id || 1 } };
+};
+
+// Condição de um parâmetro: igualdade, lista (parâmetro repetido) ou operadores
+const parseCondition = (key, value) => {
+  if (key.endsWith('>')) return { [key.slice(0, -1)]: { $gte: value } };
+  if (key.endsWith('<')) return { [key.slice(0, -1)]: { $lte: value } };
+  if (typeof value === 'string') return { [key]: value };
+  if (Array.isArray(value)) return { [key]: { $in: value } };
+
+  const condition = {};
+  for (const [operator, operand] of Object.entries(value)) {
+    if (!OPERATORS[operator] || typeof operand !== 'string') {
+      return { error: `Operador "${operator}" inválido em "${key}". Use: ${Object.keys(OPERATORS).join(', ')}.` };
+    }
+    condition[OPERATORS[operator]] = operator === 'in' ? operand.split(',') : operand;
+  }
+  return { [key]: condition };
+};
+
+// Em campos de data, YYYY-MM-DD vale o dia inteiro no fuso da escola (não a meia-noite UTC):
+// "date>=2024-06-03" começa às 00:00 locais e "date<=2024-06-07" inclui todo o dia 7.
+// Datas e horas ISO 8601 também são aceitas. Devolve a condição convertida ou { error }.
+const DATE_EDGES = { $gte: 'start', $gt: 'end', $lte: 'end', $lt: 'start' };
+
+const castDateClause = (field, clause) => {
+  const invalid = { error: `Data inválida em "${field}". Use YYYY-MM-DD ou data e hora ISO 8601.` };
+  const day = (value) => {
+    const start = parseBoundary(value, 'start');
+    return start && { $gte: start.toDate(), $lte: parseBoundary(value, 'end').toDate() };
+  };
+
+  // Igualdade: o dia inteiro (ou o instante exato, quando há horário)
+  if (typeof clause === 'string') return day(clause) || invalid;
+
+  const condition = {};
+  for (const [operator, operand] of Object.entries(clause)) {
+    if (operator === '$in') {
+      // Lista de instantes; dias inteiros não cabem em $in
+      const instants = operand.map((value) => (parseSchoolDate(value) ? null : parseBoundary(value, 'start')));
+      if (instants.some((instant) => !instant)) {
+        return { error: `Filtro com vários valores em "${field}" aceita apenas data e hora ISO 8601.` };
+      }
+      condition.$in = instants.map((instant) => instant.toDate());
+    } else if (operator === '$eq' || operator === '$ne') {
+      const range = day(operand);
+      if (!range) return invalid;
+      Object.assign(condition, operator === '$eq' ? range : { $not: range });
+    } else {
+      const boundary = parseBoundary(operand, DATE_EDGES[operator]);
+      if (!boundary) return invalid;
+      condition[operator] = boundary.toDate();
+    }
+  }
+  return condition;
+};
+
+const isDatePath = (schema, field) => {
+  const path = schema.path(field);
+  return Boolean(path) && path.instance === 'Date';
+};
+
+// Lê paginação, ordenação e filtros da query string de uma listagem do modelo.
+// "hidden" são campos que não podem ser filtrados nem ordenados (ex.: senha) e "ignore" são
+// parâmetros tratados pela própria rota. Devolve { filter, sort, page, limit, skip } ou { error };
+// page, limit e skip só vêm quando a chamada pede "page" ou "limit".
+const parseListQuery = (Model, query, { hidden = [], ignore = [], defaultSort = {} } = {}) => {
+  const pagination = parsePagination(query);
+  if (pagination.error) return pagination;
+
+  const { schema } = Model;
+  const sorting = query.sort ? parseSort(schema, query.sort, hidden) : { sort: { ...defaultSort, _id: 1 } };
+  if (sorting.error) return sorting;
+
+  const filter = {};
+  for (const [key, value] of Object.entries(query)) {
+    if (RESERVED.includes(key) || ignore.includes(key)) continue;
+
+    const condition = parseCondition(key, value);
+    if (condition.error) return condition;
+
+    const [[field, parsed]] = Object.entries(condition);
+    if (!isListable(schema, field, hidden)) {
+      return { error: `Campo "${field}" não pode ser usado em filtros.` };
+    }
+    const clause = isDatePath(schema, field) ? castDateClause(field, parsed) : parsed;
+    if (clause.error) return clause;
+    // date>=...&date<=... se combinam no mesmo campo
+    filter[field] =
+      typeof clause === 'object' && typeof filter[field] === 'object' ? { ...filter[field], ...clause } : clause;
+  }
+
+  return { ...pagination, sort: sorting.sort, filter };
+};
+
+// Aplica a ordenação e, se pedida, a página a uma consulta do Mongoose
+const paginate = (query, list) => {
+  const sorted = query.sort(list.sort);
+  return list.limit ? sorted.skip(list.skip).limit(list.limit) : sorted;
+};
+
+module.exports = {
+  parseListQuery,
+  paginate,
+};
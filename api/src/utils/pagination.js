@@ -0,0 +1,56 @@
+// Paginação das listas: ?page= (a partir de 1) e ?limit= (padrão 20, máximo 100).
+// O corpo continua sendo a lista; o total e os links de navegação vão nos cabeçalhos
+// X-Total-Count e Link. Sem "page" nem "limit", as listagens que já existiam continuam
+// devolvendo todos os registros (defaultLimit null); feeds novos, como a linha do tempo,
+// passam defaultLimit para paginar sempre.
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Devolve { page, limit, skip }, { error } ou {} quando a lista não é paginada
+const parsePagination = (query, { defaultLimit = null, maxLimit = MAX_LIMIT } = {}) => {
+  if (query.page === undefined && query.limit === undefined && !defaultLimit) return {};
+
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? defaultLimit || DEFAULT_LIMIT : Number(query.limit);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'Parâmetro "page" deve ser um inteiro a partir de 1.' };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    return { error: `Parâmetro "limit" deve ser um inteiro entre 1 e ${maxLimit}.` };
+  }
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Cabeçalhos X-Total-Count e Link (first, prev, next, last) da página atual;
+// sem paginação vai apenas o total
+const setPaginationHeaders = (req, res, { page, limit }, total) => {
+  if (!limit) {
+    res.set('X-Total-Count', String(total));
+    return;
+  }
+
+  const pages = Math.max(Math.ceil(total / limit), 1);
+  // Parte da query string original para manter filtros como date[gte]= e date>=
+  const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?') + 1) : '';
+  const linkTo = (target) => {
+    const params = new URLSearchParams(query);
+    params.set('page', String(target));
+    params.set('limit', String(limit));
+    return `<${req.baseUrl}${req.path === '/' ? '' : req.path}?${params}>`;
+  };
+
+  const links = [`${linkTo(1)}; rel="first"`];
+  if (page > 1) links.push(`${linkTo(Math.min(page - 1, pages))}; rel="prev"`);
+  if (page < pages) links.push(`${linkTo(page + 1)}; rel="next"`);
+  links.push(`${linkTo(pages)}; rel="last"`);
+
+  res.set({ 'X-Total-Count': String(total), Link: links.join(', ') });
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePagination,
+  setPaginationHeaders,
+};
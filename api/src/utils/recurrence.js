@@ -0,0 +1,50 @@
+const moment = require('moment-timezone');
+const { schoolTime, parseSchoolDate } = require('./dateRange');
+
+// Frequências aceitas nas séries recorrentes
+const FREQUENCIES = {
+  weekly: { amount: 1, unit: 'weeks' },
+  biweekly: { amount: 2, unit: 'weeks' },
+  monthly: { amount: 1, unit: 'months' },
+};
+
+// Limite de ocorrências geradas por série (cerca de dois anos semanais)
+const MAX_OCCURRENCES = 104;
+
+// Fim do último dia da série no fuso da escola. Datas sem horário ("2024-06-24") chegam
+// gravadas à meia-noite UTC, que ainda é o dia anterior no fuso da escola; nesse caso vale o
+// dia do calendário informado. Instantes com horário (ex.: séries encerradas em truncateSeries)
+// usam o dia local em que caem.
+const untilLimit = (until) => {
+  const utc = moment.utc(until);
+  const isCalendarDate = utc.isValid() && utc.isSame(utc.clone().startOf('day'));
+  const day = isCalendarDate ? parseSchoolDate(utc.format('YYYY-MM-DD')) : schoolTime(until);
+  return day.endOf('day');
+};
+
+// Gera as datas de uma série a partir do início, até "until" (inclusivo) e/ou "count".
+// Cada data é calculada a partir do início para não acumular desvios (ex.: dia 31 no mensal);
+// o cálculo usa o fuso da escola para manter o horário local da sessão.
+const expandOccurrences = ({ start, frequency, until, count }) => {
+  const rule = FREQUENCIES[frequency];
+  if (!rule || !start) return [];
+
+  const first = schoolTime(start);
+  const limit = until ? untilLimit(until) : null;
+  const max = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const dates = [];
+
+  for (let i = 0; dates.length < max; i += 1) {
+    const date = first.clone().add(i * rule.amount, rule.unit);
+    if (limit && date.isAfter(limit)) break;
+    dates.push(date.toDate());
+  }
+
+  return dates;
+};
+
+module.exports = {
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  expandOccurrences,
+};
@@ -0,0 +1,4 @@
+// Escapa caracteres especiais para usar um texto do usuário dentro de $regex
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { escapeRegex };
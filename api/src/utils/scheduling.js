@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { activeStatusFilter } = require('./appointmentStatus');
+
+// Duração padrão (em minutos) dos agendamentos sem duração informada
+const DEFAULT_DURATION = 60;
+
+const MINUTE = 60 * 1000;
+
+// Fim do atendimento calculado no banco a partir de date + duration
+const endExpression = {
+  $add: ['$date', { $multiply: [{ $ifNull: ['$duration', DEFAULT_DURATION] }, MINUTE] }],
+};
+
+// Busca agendamentos ativos do mesmo profissional ou estudante que se sobrepõem ao horário
+// proposto (modelo definido em routes/appointmentsRoutes.js). "exclude" aceita um ID
+// ou uma lista de IDs de agendamentos a ignorar.
+const findConflicts = async ({ date, duration, student, professional }, exclude) => {
+  const start = new Date(date);
+  if (Number.isNaN(start.getTime())) return [];
+
+  const end = new Date(start.getTime() + (duration || DEFAULT_DURATION) * MINUTE);
+  const people = [];
+  if (student) people.push({ student });
+  if (professional) people.push({ professional });
+  if (people.length === 0) return [];
+
+  // Agendamentos cancelados ou encerrados não ocupam a agenda
+  const filter = {
+    ...activeStatusFilter,
+    $or: people,
+    date: { $lt: end },
+    $expr: { $gt: [endExpression, start] },
+  };
+  if (Array.isArray(exclude)) filter._id = { $nin: exclude };
+  else if (exclude) filter._id = { $ne: exclude };
+
+  return mongoose.model('Appointment').find(filter).sort({ date: 1 });
+};
+
+// Confere se o estudante e o profissional informados existem (modelos das rotas students e prof-saude)
+const validateReferences = async (body) => {
+  const references = [
+    ['student', 'Student', 'Estudante'],
+    ['professional', 'Profissional', 'Profissional'],
+  ];
+
+  for (const [field, modelName, label] of references) {
+    if (body[field] === undefined) continue;
+    const id = body[field];
+    if (!mongoose.isValidObjectId(id) || !(await mongoose.model(modelName).exists({ _id: id }))) {
+      return `${label} informado em "${field}" não existe.`;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  DEFAULT_DURATION,
+  findConflicts,
+  validateReferences,
+};
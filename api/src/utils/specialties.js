@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Conselhos profissionais das especialidades e dos registros dos profissionais
+const COUNCILS = [
+  'CRP', // psicologia
+  'CREFITO', // fisioterapia e terapia ocupacional
+  'CRFa', // fonoaudiologia
+  'CRM', // medicina
+  'CRN', // nutrição
+  'COREN', // enfermagem
+  'CRESS', // serviço social
+  'CREF', // educação física
+  'CRO', // odontologia
+];
+
+// Unidades da federação
+const STATES = [
+  'AC', 'AL', 'AP', 'AM', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MT', 'MS', 'MG', 'PA',
+  'PB', 'PR', 'PE', 'PI', 'RJ', 'RN', 'RS', 'RO', 'RR', 'SC', 'SP', 'SE', 'TO',
+];
+
+// Número do registro: dígitos, com a região opcional na frente (06/12345) e o sufixo
+// opcional da categoria (12345-F, 6789-TO)
+const REGISTRATION_NUMBER_FORMAT = /^(\d{2}\/)?\d{2,7}(-[A-Z]{1,3})?$/;
+
+// Chave de comparação dos nomes: sem acentos, minúsculas e espaços simples
+const specialtyKey = (text) =>
+  String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, ' ');
+
+// Aceita o ID do catálogo, o nome ou um sinônimo ("Fisioterapeuta"); devolve o filtro de busca
+const specialtyLookup = (value) => {
+  if (/^[0-9a-f]{24}$/i.test(value)) return { _id: value };
+  const key = specialtyKey(value);
+  return { $or: [{ key }, { alias_keys: key }] };
+};
+
+// Modelo Specialty em routes/specialtiesRoutes.js
+const findSpecialty = (value) => mongoose.model('Specialty').findOne(specialtyLookup(value));
+
+// Resolve as especialidades informadas para um profissional (IDs, nomes ou sinônimos).
+// Devolve { specialties } com os documentos do catálogo ou { error }.
+const resolveSpecialties = async (values) => {
+  if (!Array.isArray(values) || values.length === 0) {
+    return { error: 'Informe ao menos uma especialidade do catálogo em "specialties".' };
+  }
+
+  const specialties = [];
+  for (const value of values) {
+    const specialty = typeof value === 'string' && (await findSpecialty(value));
+    if (!specialty) {
+      return { error: `Especialidade "${value}" não existe no catálogo.` };
+    }
+    if (!specialties.some((found) => found._id.equals(specialty._id))) specialties.push(specialty);
+  }
+  return { specialties };
+};
+
+// Registro sem validade informada não vence
+const credentialValidOn = (credential, date) => !credential.expires_at || credential.expires_at >= date;
+
+// Confere a especialidade pedida em um agendamento: precisa existir no catálogo e ser atendida
+// pelo profissional; se o profissional tem registro no conselho da especialidade, ao menos um
+// precisa estar válido na data. Devolve { specialty } com o nome do catálogo ou { error }.
+const checkProfessionalSpecialty = async ({ specialty, professional, date }) => {
+  if (!specialty) return {};
+
+  const found = await findSpecialty(specialty);
+  if (!found) {
+    return { error: `Especialidade "${specialty}" não existe no catálogo.` };
+  }
+
+  // Modelo Profissional em routes/prof-saude.js
+  const profissional =
+    mongoose.isValidObjectId(professional) && (await mongoose.model('Profissional').findById(professional));
+  if (!profissional) return { specialty: found.name };
+
+  if (!profissional.specialties.some((id) => id.equals(found._id))) {
+    return { error: `O profissional ${profissional.name} não atende a especialidade "${found.name}".` };
+  }
+
+  const credentials = profissional.credentials.filter((credential) => credential.council === found.council);
+  const at = date ? new Date(date) : new Date();
+  if (credentials.length > 0 && !credentials.some((credential) => credentialValidOn(credential, at))) {
+    return { error: `O registro ${found.council} do profissional ${profissional.name} está vencido na data do agendamento.` };
+  }
+  return { specialty: found.name };
+};
+
+module.exports = {
+  COUNCILS,
+  STATES,
+  REGISTRATION_NUMBER_FORMAT,
+  specialtyKey,
+  specialtyLookup,
+  resolveSpecialties,
+  checkProfessionalSpecialty,
+};
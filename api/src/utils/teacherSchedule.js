@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Limite de horas semanais do contrato para professores sem limite próprio (weekly_hours_limit)
+const WEEKLY_HOURS_LIMIT = Number(process.env.TEACHER_WEEKLY_HOURS_LIMIT) || 40;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const slotMinutes = (slot) => toMinutes(slot.end) - toMinutes(slot.start);
+
+// Horários "HH:mm" podem ser comparados como texto
+const slotsOverlap = (a, b) => a.weekday === b.weekday && a.start < b.end && b.start < a.end;
+
+const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+const conflictRef = (teacher, slot, reason) => ({
+  reason, // "teacher": o professor já tem aula no horário; "class": a turma já tem aula com outro professor
+  teacher: { id: teacher._id, name: teacher.name },
+  slot: {
+    id: slot._id,
+    weekday: slot.weekday,
+    start: slot.start,
+    end: slot.end,
+    class: slot.class,
+    subject: slot.subject,
+  },
+});
+
+// Aulas que colidem com "slot": do próprio professor no mesmo ano letivo e de outros
+// professores na mesma turma (modelo Teacher em routes/teachersRoutes.js)
+const findSlotConflicts = async (teacher, slot) => {
+  const own = teacher.schedule
+    .filter((other) => !other._id.equals(slot._id))
+    .filter((other) => other.school_year === slot.school_year && slotsOverlap(other, slot))
+    .map((other) => conflictRef(teacher, other, 'teacher'));
+
+  const colleagues = await mongoose
+    .model('Teacher')
+    .find({ _id: { $ne: teacher._id }, 'schedule.class': slot.class }, 'name schedule');
+  const sameClass = colleagues.flatMap((colleague) =>
+    colleague.schedule
+      .filter((other) => other.class.equals(slot.class) && slotsOverlap(other, slot))
+      .map((other) => conflictRef(colleague, other, 'class'))
+  );
+
+  return [...own, ...sameClass];
+};
+
+// Carga horária semanal do professor no ano letivo, comparada ao limite do contrato
+const workloadOf = (teacher, schoolYear) => {
+  const slots = teacher.schedule.filter((slot) => slot.school_year === schoolYear);
+  const minutesByWeekday = new Map();
+  for (const slot of slots) {
+    minutesByWeekday.set(slot.weekday, (minutesByWeekday.get(slot.weekday) || 0) + slotMinutes(slot));
+  }
+
+  const minutes = [...minutesByWeekday.values()].reduce((sum, value) => sum + value, 0);
+  const limit = teacher.weekly_hours_limit || WEEKLY_HOURS_LIMIT;
+  const hours = toHours(minutes);
+
+  return {
+    teacher: { id: teacher._id, name: teacher.name },
+    school_year: schoolYear,
+    lessons: slots.length,
+    hours,
+    limit,
+    remaining: toHours(limit * 60 - minutes),
+    over_limit: hours > limit,
+    by_weekday: [...minutesByWeekday.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([weekday, total]) => ({ weekday, hours: toHours(total) })),
+  };
+};
+
+module.exports = {
+  WEEKLY_HOURS_LIMIT,
+  findSlotConflicts,
+  workloadOf,
+};
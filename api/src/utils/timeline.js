@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const { ROLES, PERMISSIONS } = require('../middleware/permissions');
+const { rangeFilter } = require('./dateRange');
+
+// Campos de controle que não contam como alteração do cadastro
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const withRange = (field, range) => (range.start || range.end ? { [field]: rangeFilter(range) } : {});
+
+const inRange = (date, range) =>
+  (!range.start || !range.start.isAfter(date)) && (!range.end || !range.end.isBefore(date));
+
+// Campos que mudaram entre as duas versões registradas na auditoria
+const changedFields = (before, after) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys]
+    .filter((key) => !IGNORED_FIELDS.includes(key))
+    .filter((key) => JSON.stringify((before || {})[key]) !== JSON.stringify((after || {})[key]));
+};
+
+// Agendamentos do estudante (modelo em routes/appointmentsRoutes.js), com o profissional
+const studentAppointments = (studentId) =>
+  mongoose
+    .model('Appointment')
+    .find({ student: studentId })
+    .populate('professional', 'name')
+    .lean();
+
+const professionalRef = (appointment) =>
+  appointment.professional
+    ? { id: appointment.professional._id, name: appointment.professional.name }
+    : { id: null, name: appointment.legacy_professional || null };
+
+// Fontes do histórico: cada uma devolve itens { type, date, ... } do estudante no período.
+// Recebem os agendamentos já carregados porque três delas partem deles.
+const SOURCES = {
+  appointment: async ({ appointments, range }) =>
+    appointments
+      .filter((appointment) => appointment.date && inRange(appointment.date, range))
+      .map((appointment) => ({
+        type: 'appointment',
+        date: appointment.date,
+        id: appointment._id,
+        specialty: appointment.specialty,
+        professional: professionalRef(appointment),
+        status: appointment.status || 'scheduled',
+        duration: appointment.duration,
+      })),
+
+  status_change: async ({ appointments, range }) =>
+    appointments.flatMap((appointment) =>
+      (appointment.status_history || [])
+        .filter((change) => inRange(change.at, range))
+        .map((change) => ({
+          type: 'status_change',
+          date: change.at,
+          appointment: appointment._id,
+          specialty: appointment.specialty,
+          status: change.status,
+          reason: change.reason,
+          note: change.note,
+          by: change.by,
+        }))
+    ),
+
+  // Somente a versão mais recente de cada nota, e só para quem pode ler notas de sessão;
+  // o profissional de saúde vê apenas as notas dos próprios atendimentos
+  session_note: async ({ appointments, range, user }) => {
+    if (!PERMISSIONS['session-notes'].GET.includes(user.level)) return [];
+
+    const visible = appointments.filter(
+      (appointment) =>
+        user.level !== ROLES.PROF_SAUDE ||
+        (user.profissional && appointment.professional && appointment.professional._id.equals(user.profissional))
+    );
+    const byId = new Map(visible.map((appointment) => [appointment._id.toString(), appointment]));
+
+    const versions = await mongoose
+      .model('SessionNote')
+      .find({ appointment: { $in: [...byId.keys()] } })
+      .sort({ version: -1 })
+      .lean();
+
+    const latest = new Map();
+    for (const note of versions) {
+      if (!latest.has(note.note_id.toString())) latest.set(note.note_id.toString(), note);
+    }
+
+    return [...latest.values()]
+      .filter((note) => inRange(note.created_at, range))
+      .map((note) => ({
+        type: 'session_note',
+        date: note.created_at,
+        id: note.note_id,
+        appointment: note.appointment,
+        professional: professionalRef(byId.get(note.appointment.toString())),
+        version: note.version,
+        author: note.author,
+        body: note.body,
+      }));
+  },
+
+  // Eventos em que o estudante está entre os convidados (modelo em routes/eventsRoutes.js)
+  event: async ({ studentId, range }) => {
+    const events = await mongoose
+      .model('Event')
+      .find({ participants: { $elemMatch: { kind: 'student', person: studentId } }, ...withRange('date', range) })
+      .lean();
+
+    return events.map((event) => {
+      const participant = event.participants.find((p) => p.kind === 'student' && p.person.equals(studentId));
+      return {
+        type: 'event',
+        date: event.date,
+        id: event._id,
+        title: event.description,
+        rsvp: participant.rsvp,
+        attended: participant.attended,
+      };
+    });
+  },
+
+  // Inclusões e edições do cadastro registradas na auditoria (modelo em routes/auditRoutes.js);
+  // como a própria auditoria, só para quem pode consultar /audit
+  record_edit: async ({ studentId, range, user }) => {
+    if (!PERMISSIONS.audit.GET.includes(user.level)) return [];
+
+    const logs = await mongoose
+      .model('AuditLog')
+      .find({ entityType: 'students', entityId: studentId, ...withRange('timestamp', range) })
+      .lean();
+
+    return logs.map((log) => ({
+      type: 'record_edit',
+      date: log.timestamp,
+      id: log._id,
+      action: log.action,
+      actor: { id: log.actor || null, name: log.actorName || null },
+      fields: log.action === 'update' ? changedFields(log.before, log.after) : [],
+    }));
+  },
+};
+
+const TIMELINE_TYPES = Object.keys(SOURCES);
+
+// Itens do histórico do estudante dos tipos pedidos, do mais recente para o mais antigo
+const buildTimeline = async (studentId, { types = TIMELINE_TYPES, range = {}, user }) => {
+  const appointments = await studentAppointments(studentId);
+  const context = { studentId, appointments, range, user };
+
+  const items = (await Promise.all(types.map((type) => SOURCES[type](context)))).flat();
+  return items.sort((a, b) => b.date - a.date);
+};
+
+module.exports = {
+  TIMELINE_TYPES,
+  buildTimeline,
+};
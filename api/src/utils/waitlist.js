@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const { recordAudit } = require('./audit');
+const { ACTIVE_STATUSES } = require('./appointmentStatus');
+const { DEFAULT_DURATION } = require('./scheduling');
+
+// Prazo para a família responder a uma vaga oferecida
+const OFFER_TTL_HOURS = 24;
+
+// A entrada aceita o horário se não tiver janelas ou se alguma janela o contiver
+const fitsWindows = (entry, date) =>
+  entry.windows.length === 0 ||
+  entry.windows.some((window) => window.start <= date && date <= window.end);
+
+const sameSlot = (a, b) =>
+  a.date.getTime() === b.date.getTime() && a.professional.equals(b.professional);
+
+// Oferece um horário liberado à próxima entrada da lista de espera da especialidade.
+// "slot" = { date, duration, professional }; devolve a entrada que recebeu a oferta ou null.
+// Modelos: WaitlistEntry (routes/waitlistRoutes.js) e Profissional (routes/prof-saude.js).
+const offerSlot = async (req, slot) => {
+  if (!slot.date || slot.date <= new Date()) return null;
+
+  const WaitlistEntry = mongoose.model('WaitlistEntry');
+  const professional = await mongoose.model('Profissional').findById(slot.professional);
+  if (!professional || professional.status !== 'on') return null;
+
+  // Entradas guardam o nome do catálogo (modelo Specialty em routes/specialtiesRoutes.js)
+  const specialties = await mongoose.model('Specialty').find({ _id: { $in: professional.specialties } }, 'name');
+  const candidates = await WaitlistEntry.find({
+    status: 'waiting',
+    specialty: { $in: specialties.map((specialty) => specialty.name) },
+  }).sort({ priority: 1, createdAt: 1 });
+
+  const entry = candidates.find(
+    (candidate) =>
+      fitsWindows(candidate, slot.date) &&
+      !candidate.declined_offers.some((declined) => sameSlot(declined, slot))
+  );
+  if (!entry) return null;
+
+  const before = entry.toJSON();
+  entry.status = 'offered';
+  entry.offer = {
+    date: slot.date,
+    duration: slot.duration || DEFAULT_DURATION,
+    professional: professional._id,
+    offered_at: new Date(),
+    expires_at: moment().add(OFFER_TTL_HOURS, 'hours').toDate(),
+  };
+  await entry.save();
+  await recordAudit(req, { entityType: 'waitlist', action: 'update', before, after: entry });
+  return entry;
+};
+
+// Passa a vaga recusada ou expirada para a próxima entrada da lista
+const releaseOffer = async (req, entry) => {
+  const slot = entry.offer;
+  const before = entry.toJSON();
+  entry.declined_offers.push(slot);
+  entry.offer = undefined;
+  entry.status = 'waiting';
+  await entry.save();
+  await recordAudit(req, { entityType: 'waitlist', action: 'update', before, after: entry });
+  return offerSlot(req, slot);
+};
+
+// Devolve à fila as ofertas sem resposta dentro do prazo e repassa as vagas ao próximo.
+// Roda no ciclo do agendador (notifications/scheduler.js) e antes das leituras da lista.
+const expireOffers = async (req) => {
+  const expired = await mongoose.model('WaitlistEntry').find({
+    status: 'offered',
+    'offer.expires_at': { $lt: new Date() },
+  });
+  for (const entry of expired) {
+    await releaseOffer(req, entry);
+  }
+  return expired.length;
+};
+
+// Chamado quando um agendamento é cancelado ou removido: se ainda ocupava a agenda e o
+// horário não passou, ele vai para a lista de espera. Falhas só são logadas para não afetar
+// a operação.
+const offerFreedAppointment = async (req, appointment, previousStatus = appointment.status) => {
+  if (!ACTIVE_STATUSES.includes(previousStatus)) return null;
+  if (!appointment.date || appointment.date <= new Date()) return null;
+
+  try {
+    return await offerSlot(req, {
+      date: appointment.date,
+      duration: appointment.duration,
+      professional: appointment.professional,
+    });
+  } catch (err) {
+    console.error('Erro ao oferecer vaga da lista de espera:', err.message);
+    return null;
+  }
+};
+
+module.exports = {
+  OFFER_TTL_HOURS,
+  offerSlot,
+  releaseOffer,
+  expireOffers,
+  offerFreedAppointment,
+};